@@ -50,7 +50,7 @@ function main() {
   const shifts = readSample(sampleDir, "shifts.json");
   const existingAssignments = readOptionalSample(sampleDir, "existing_assignments.json") || [];
 
-  const result = schedule(shifts, employees, availability, existingAssignments);
+  const result = schedule(shifts, employees, availability, existingAssignments, { explain: true });
 
   printSection("Assignments", result.assignments);
   if (result.issues.length > 0) {
@@ -58,7 +58,15 @@ function main() {
   } else {
     console.log("\nNo scheduling issues detected.");
   }
+  if (result.explanations.length > 0) {
+    console.log("\n=== Unfilled Shift Explanations ===");
+    result.explanations.forEach((explanation) => {
+      console.log(`${explanation.shiftId}: ${explanation.reason}`);
+      explanation.candidates.forEach((candidate) => console.log(`  - ${candidate.reason}`));
+    });
+  }
   printSection("Totals By Employee", result.totalsByEmployee);
+  printSection("Labor Cost", result.cost);
 
   const validationErrors = validate(
     result.assignments,
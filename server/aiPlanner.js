@@ -56,14 +56,17 @@ function runLocalScheduler(args = {}) {
     employees = [],
     availability = [],
     existing = [],
+    options = {},
   } = args;
 
-  const result = schedule(shiftTemplate, employees, availability, existing);
+  const result = schedule(shiftTemplate, employees, availability, existing, options);
 
   return {
     assignments: result.assignments,
     issues: result.issues,
     totalsByEmployee: result.totalsByEmployee,
+    cost: result.cost,
+    fairness: result.fairness,
     metadata: {
       mode: "local",
     },
@@ -76,6 +79,7 @@ async function invokeAiPlanner(args = {}) {
     employees = [],
     availability = [],
     existing = [],
+    options = {},
   } = args;
 
   const client = ensureOpenAIClient();
@@ -139,7 +143,7 @@ async function invokeAiPlanner(args = {}) {
   const toolCall = toolCalls[0];
   const toolCallId = normalizeToolCallId(toolCall);
 
-  const localResult = schedule(shiftTemplate, employees, availability, existing);
+  const localResult = schedule(shiftTemplate, employees, availability, existing, options);
 
   conversation.push({
     role: "assistant",
@@ -185,6 +189,8 @@ async function invokeAiPlanner(args = {}) {
     assignments: localResult.assignments,
     issues: localResult.issues,
     totalsByEmployee: localResult.totalsByEmployee,
+    cost: localResult.cost,
+    fairness: localResult.fairness,
     metadata: {
       mode: "ai",
       responseId: response.id,
@@ -213,6 +219,8 @@ async function planSchedule(args = {}) {
       assignments: fallback.assignments,
       issues,
       totalsByEmployee: fallback.totalsByEmployee,
+      cost: fallback.cost,
+      fairness: fallback.fairness,
       metadata: {
         mode: "fallback",
         error: error.message,
@@ -1,8 +1,68 @@
 "use strict";
 
+const { setTimeout: delay } = require("timers/promises");
 const { buildDateFilter } = require("./utils/data");
+const { fieldName, resolveFieldMap } = require("./fieldMap");
 
 const API_ROOT = "https://api.airtable.com/v0";
+const BATCH_SIZE = 10;
+
+function readSetting(value, name, fallback) {
+  const number = Number.parseFloat(value !== undefined ? value : process.env[name]);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// `status` is the HTTP status (0 when no response arrived) and `type` the
+// Airtable error type from the body, e.g. INVALID_PERMISSIONS.
+class AirtableError extends Error {
+  constructor(message, { status = 0, type = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class AirtableRateLimitError extends AirtableError {}
+class AirtableAuthError extends AirtableError {}
+class AirtableValidationError extends AirtableError {}
+class AirtableServerError extends AirtableError {}
+class AirtableTimeoutError extends AirtableError {}
+
+function errorClassFor(status) {
+  if (status === 429) return AirtableRateLimitError;
+  if (status === 401 || status === 403) return AirtableAuthError;
+  if (status >= 500) return AirtableServerError;
+  if (status >= 400) return AirtableValidationError;
+  return AirtableError;
+}
+
+// Retry-After is either seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+async function responseError(response) {
+  const text = await response.text();
+  let type = null;
+  try {
+    const body = JSON.parse(text);
+    type = (body.error && (body.error.type || body.error)) || null;
+  } catch (error) {
+    // Not JSON; the text goes into the message as-is.
+  }
+  const ErrorClass = errorClassFor(response.status);
+  return new ErrorClass(`Airtable request failed (${response.status}): ${text}`, {
+    status: response.status,
+    type: typeof type === "string" ? type : null,
+    retryAfterMs: parseRetryAfter(response.headers && response.headers.get("retry-after")),
+  });
+}
 
 class AirtableClient {
   constructor(options = {}) {
@@ -14,10 +74,23 @@ class AirtableClient {
         options.availabilityTable || process.env.AIRTABLE_AVAILABILITY_TABLE || "Availability",
       shifts: options.shiftsTable || process.env.AIRTABLE_SHIFTS_TABLE || "Shifts",
     };
+    this.fieldMap = resolveFieldMap(options.fieldMap);
     this.shiftEmployeeField =
-      options.shiftEmployeeField || process.env.AIRTABLE_SHIFT_EMPLOYEE_FIELD || "assigned_employee";
+      options.shiftEmployeeField ||
+      process.env.AIRTABLE_SHIFT_EMPLOYEE_FIELD ||
+      fieldName(this.fieldMap, "shifts", "assigned_employee");
     this.shiftStatusField =
-      options.shiftStatusField || process.env.AIRTABLE_SHIFT_STATUS_FIELD || "status";
+      options.shiftStatusField ||
+      process.env.AIRTABLE_SHIFT_STATUS_FIELD ||
+      fieldName(this.fieldMap, "shifts", "status");
+    // Airtable allows five requests per second per base.
+    this.requestsPerSecond =
+      readSetting(options.requestsPerSecond, "AIRTABLE_REQUESTS_PER_SECOND", 5) || 5;
+    this.maxRetries = readSetting(options.maxRetries, "AIRTABLE_MAX_RETRIES", 3);
+    this.timeoutMs = readSetting(options.timeoutMs, "AIRTABLE_TIMEOUT_MS", 10000);
+    this.retryBaseMs = readSetting(options.retryBaseMs, "AIRTABLE_RETRY_BASE_MS", 1000);
+    this.maxRetryAfterMs = readSetting(options.maxRetryAfterMs, "AIRTABLE_MAX_RETRY_AFTER_MS", 30000);
+    this.sentAt = [];
   }
 
   assertConfigured() {
@@ -26,37 +99,95 @@ class AirtableClient {
     }
   }
 
+  // Waits until fewer than requestsPerSecond requests went out in the last second.
+  async throttle() {
+    for (;;) {
+      const now = Date.now();
+      this.sentAt = this.sentAt.filter((time) => now - time < 1000);
+      if (this.sentAt.length < this.requestsPerSecond) {
+        this.sentAt.push(now);
+        return;
+      }
+      await delay(1000 - (now - this.sentAt[0]));
+    }
+  }
+
+  // Returns the parsed body (null for 204) or throws a typed error. The timeout
+  // covers reading the body too, so a stalled response can't hang the request.
+  async send(url, init) {
+    const controller = new AbortController();
+    const timeout = this.timeoutMs > 0 ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (!response.ok) throw await responseError(response);
+      return response.status === 204 ? null : await response.json();
+    } catch (error) {
+      if (error instanceof AirtableError) throw error;
+      if (controller.signal.aborted) {
+        throw new AirtableTimeoutError(`Airtable request timed out after ${this.timeoutMs}ms.`);
+      }
+      throw new AirtableError(`Airtable request failed: ${error.message}`);
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+
+  // Retries 429s, and for requests that are safe to repeat (all but POST) 5xx
+  // responses, timeouts and network errors too. Waits Retry-After when given,
+  // else retryBaseMs doubling per attempt. A Retry-After longer than
+  // maxRetryAfterMs fails at once instead of holding the request.
   async request(path, options = {}) {
     this.assertConfigured();
     const url = `${API_ROOT}/${this.baseId}${path}`;
-    const response = await fetch(url, {
-      method: options.method || "GET",
+    const method = options.method || "GET";
+    const init = {
+      method,
       headers: {
         Authorization: `Bearer ${this.apiKey}`,
         "Content-Type": "application/json",
         ...(options.headers || {}),
       },
       body: options.body ? JSON.stringify(options.body) : undefined,
-    });
+    };
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Airtable request failed (${response.status}): ${errorText}`);
-    }
+    for (let attempt = 0; ; attempt += 1) {
+      await this.throttle();
+      let error;
+      try {
+        return await this.send(url, init);
+      } catch (sendError) {
+        error = sendError;
+      }
 
-    if (response.status === 204) {
-      return null;
+      const retryable =
+        error instanceof AirtableRateLimitError ||
+        (method !== "POST" &&
+          (error instanceof AirtableServerError || error.status === 0));
+      if (!retryable || attempt >= this.maxRetries) throw error;
+      if (error.retryAfterMs !== null && error.retryAfterMs > this.maxRetryAfterMs) throw error;
+      await delay(error.retryAfterMs !== null ? error.retryAfterMs : this.retryBaseMs * 2 ** attempt);
     }
-
-    return response.json();
   }
 
   async list(tableName, params = {}) {
     const search = new URLSearchParams();
     Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== "") {
+      if (value === undefined || value === null || value === "") return;
+      if (!Array.isArray(value)) {
         search.append(key, value);
+        return;
       }
+      // Airtable reads lists as sort[0][field]=...&sort[0][direction]=... and
+      // fields[]=...; a plain append would send "[object Object]".
+      value.forEach((item, index) => {
+        if (item && typeof item === "object") {
+          Object.entries(item).forEach(([prop, propValue]) => {
+            search.append(`${key}[${index}][${prop}]`, propValue);
+          });
+        } else {
+          search.append(`${key}[]`, item);
+        }
+      });
     });
 
     const records = [];
@@ -78,60 +209,157 @@ class AirtableClient {
     return this.list(this.tables.employees, { pageSize: 100 });
   }
 
+  // Recurring rows have no date, so they are fetched whatever the range.
   async listAvailability(range = {}) {
-    const filterByFormula = buildDateFilter("date", range);
+    const date = fieldName(this.fieldMap, "availability", "date");
+    const dateFilter = buildDateFilter(date, range);
+    const filterByFormula = dateFilter ? `OR({${date}} = BLANK(), ${dateFilter})` : undefined;
     return this.list(this.tables.availability, {
       pageSize: 100,
       ...(filterByFormula ? { filterByFormula } : {}),
-      sort: [{ field: "date", direction: "asc" }],
+      sort: [{ field: date, direction: "asc" }],
     });
   }
 
   async listShifts(range = {}) {
-    const filterByFormula = buildDateFilter("date", range);
+    const date = fieldName(this.fieldMap, "shifts", "date");
+    const filterByFormula = buildDateFilter(date, range);
     return this.list(this.tables.shifts, {
       pageSize: 100,
       ...(filterByFormula ? { filterByFormula } : {}),
-      sort: [{ field: "date", direction: "asc" }],
+      sort: [{ field: date, direction: "asc" }],
     });
   }
 
+  // Airtable takes at most ten records per write; `send` gets each batch in turn.
+  async inBatches(items, send) {
+    const results = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      results.push(...(await send(items.slice(i, i + BATCH_SIZE))));
+    }
+    return results;
+  }
+
+  // Like inBatches, but a batch that throws is reported per item instead, so
+  // the remaining batches still go out.
+  async reportBatches(items, send, idOf) {
+    return this.inBatches(items, async (batch) => {
+      try {
+        return await send(batch);
+      } catch (error) {
+        return batch.map((item) => ({ id: idOf(item), ok: false, error: error.message }));
+      }
+    });
+  }
+
+  shiftsPath() {
+    return `/${encodeURIComponent(this.tables.shifts)}`;
+  }
+
+  // PATCHes Shifts records ({ id, fields }). Every record gets { id, ok, error? }.
+  async updateShiftRecords(updates = []) {
+    return this.reportBatches(
+      updates,
+      async (batch) => {
+        const data = await this.request(this.shiftsPath(), {
+          method: "PATCH",
+          body: { records: batch, typecast: true },
+        });
+        const updated = new Set(((data && data.records) || []).map((record) => record.id));
+        return batch.map(({ id }) =>
+          updated.has(id) ? { id, ok: true } : { id, ok: false, error: "Record was not updated." }
+        );
+      },
+      ({ id }) => id
+    );
+  }
+
+  // Creates Shifts records from `{ fields }` objects. Results come back in input
+  // order as { id, ok, error? }, with the new record id on success.
+  async createShiftRecords(records = []) {
+    return this.reportBatches(
+      records,
+      async (batch) => {
+        const data = await this.request(this.shiftsPath(), {
+          method: "POST",
+          body: { records: batch.map(({ fields }) => ({ fields })), typecast: true },
+        });
+        const created = (data && data.records) || [];
+        return batch.map((_, index) =>
+          created[index] && created[index].id
+            ? { id: created[index].id, ok: true }
+            : { id: null, ok: false, error: "Record was not created." }
+        );
+      },
+      () => null
+    );
+  }
+
+  // Deletes Shifts records by record id; each id gets { id, ok, error? }.
+  async deleteShiftRecords(recordIds = []) {
+    return this.reportBatches(
+      recordIds,
+      async (batch) => {
+        const query = batch.map((id) => `records[]=${encodeURIComponent(id)}`).join("&");
+        const data = await this.request(`${this.shiftsPath()}?${query}`, { method: "DELETE" });
+        const deleted = new Set(
+          ((data && data.records) || []).filter((record) => record.deleted).map((record) => record.id)
+        );
+        return batch.map((id) =>
+          deleted.has(id) ? { id, ok: true } : { id, ok: false, error: "Record was not deleted." }
+        );
+      },
+      (id) => id
+    );
+  }
+
+  // Sets each shift's linked employees to the assignments naming it. A shift
+  // whose assignments are all unfilled (no employeeId) is cleared.
   async upsertAssignments(assignments = []) {
     if (!Array.isArray(assignments) || assignments.length === 0) {
       return [];
     }
 
-    const updates = assignments
-      .filter((assignment) => assignment && assignment.shiftId && assignment.employeeId)
-      .map((assignment) => ({
-        id: assignment.shiftId,
-        fields: {
-          [this.shiftEmployeeField]: [assignment.employeeId],
-          ...(assignment.status ? { [this.shiftStatusField]: assignment.status } : {}),
-        },
-      }));
-
-    if (updates.length === 0) {
-      return [];
-    }
+    const byShift = new Map();
+    assignments
+      .filter((assignment) => assignment && assignment.shiftId)
+      .forEach((assignment) => {
+        const entry = byShift.get(assignment.shiftId) || { employees: [], status: null };
+        if (assignment.employeeId && !entry.employees.includes(assignment.employeeId)) {
+          entry.employees.push(assignment.employeeId);
+        }
+        entry.status = entry.status || assignment.status || null;
+        byShift.set(assignment.shiftId, entry);
+      });
 
-    const chunks = [];
-    for (let i = 0; i < updates.length; i += 10) {
-      chunks.push(updates.slice(i, i + 10));
-    }
+    const updates = Array.from(byShift, ([shiftId, { employees, status }]) => ({
+      id: shiftId,
+      fields: {
+        [this.shiftEmployeeField]: employees,
+        ...(status ? { [this.shiftStatusField]: status } : {}),
+      },
+    }));
 
-    const results = [];
-    for (const chunk of chunks) {
-      const payload = { records: chunk, typecast: true };
-      const data = await this.request(`/${encodeURIComponent(this.tables.shifts)}`, {
+    return this.inBatches(updates, async (batch) => {
+      const data = await this.request(this.shiftsPath(), {
         method: "PATCH",
-        body: payload,
+        body: { records: batch, typecast: true },
       });
-      results.push(...(data.records || []));
-    }
+      return data.records || [];
+    });
+  }
 
-    return results;
+  async clearAssignments(shiftIds = []) {
+    return this.upsertAssignments(shiftIds.map((shiftId) => ({ shiftId, employeeId: null })));
   }
 }
 
-module.exports = { AirtableClient };
+module.exports = {
+  AirtableClient,
+  AirtableError,
+  AirtableRateLimitError,
+  AirtableAuthError,
+  AirtableValidationError,
+  AirtableServerError,
+  AirtableTimeoutError,
+};
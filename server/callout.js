@@ -0,0 +1,214 @@
+"use strict";
+
+const {
+  normalizeEmployees,
+  normalizeAvailability,
+  shiftDateRange,
+  normalizeShiftRecords,
+  normalizeAssignments,
+  isPinnedAssignment,
+} = require("./utils/data");
+const { coverageForShift } = require("./utils/intervals");
+const { resolveRoleModel, matchRole } = require("./roles");
+const { isQualified } = require("./certifications");
+const { findClassConflict } = require("./schoolHours");
+const { normalizeTimeOff, findTimeOff } = require("./timeOff");
+const { validate } = require("./validator");
+
+// One entry per assignment, pinned like the scheduler pins them: flagged
+// pinned/locked, or on an Approved or Published shift or record.
+function readAssignments(records, shiftMap) {
+  const current = [];
+  normalizeAssignments(records).forEach((entries, shiftId) => {
+    const shift = shiftMap.get(shiftId);
+    entries.forEach((entry) =>
+      current.push({ shiftId, employeeId: entry.employeeId, pinned: isPinnedAssignment(entry, shift) })
+    );
+  });
+  return current;
+}
+
+const errorKey = (error) => `${error.type}|${error.shiftId || ""}|${error.employeeId || ""}|${error.message}`;
+
+// Cheap pre-check before a full validate(): role, certifications, class blocks,
+// approved time off, availability.
+function couldCover(context, employee, shift) {
+  if (!employee || employee.status !== "active" || !shift || !shift.start) return null;
+  const role = matchRole(context.roleModel, employee.role, shift.roleNeeded);
+  if (!role.allowed || !isQualified(employee, shift)) return null;
+  if (findClassConflict(employee.classBlocks, shift.start, shift.end)) return null;
+  const timeOff = context.timeOff.get(employee.id);
+  if (findTimeOff(timeOff, shift.start, shift.end, "approved")) return null;
+  const coverage = coverageForShift(
+    context.availabilityMap.get(employee.id) || [],
+    shift.start,
+    shift.end
+  );
+  if (!coverage.available) return null;
+  const pending = findTimeOff(timeOff, shift.start, shift.end, "requested");
+  return {
+    rolePenalty: role.penalty,
+    preferred: coverage.preferred,
+    pendingTimeOff: pending ? pending.label : null,
+  };
+}
+
+function hoursByEmployee(assignments, shiftMap) {
+  const hours = new Map();
+  assignments.forEach(({ shiftId, employeeId }) => {
+    const shift = shiftMap.get(shiftId);
+    hours.set(employeeId, (hours.get(employeeId) || 0) + ((shift && shift.hours) || 0));
+  });
+  return hours;
+}
+
+// Proposed assignments pass when validate() finds nothing the schedule didn't already have.
+// Pending time off only ranks a candidate lower, so it doesn't count here.
+function newErrors(context, assignments) {
+  return validate(
+    assignments,
+    context.shiftTemplate,
+    context.employees,
+    context.availability,
+    context.validateOptions
+  ).filter((error) => error.type !== "pending_time_off" && !context.baseline.has(errorKey(error)));
+}
+
+function compareCandidates(a, b) {
+  if (a.changes.length !== b.changes.length) return a.changes.length - b.changes.length;
+  if (Boolean(a.pendingTimeOff) !== Boolean(b.pendingTimeOff)) return a.pendingTimeOff ? 1 : -1;
+  if (a.rolePenalty !== b.rolePenalty) return a.rolePenalty - b.rolePenalty;
+  if (a.preferred !== b.preferred) return a.preferred ? -1 : 1;
+  if (a.hours !== b.hours) return a.hours - b.hours;
+  return (a.name || "").localeCompare(b.name || "");
+}
+
+// Removes a called-out employee from a shift and proposes the fewest changes that
+// refill it: a direct replacement, or when nobody is free, one chained move where
+// someone leaves their own shift for this one and another employee backfills it.
+// Pinned assignments are never moved. Every proposal passes validate().
+function replaceCallout(input = {}) {
+  const {
+    shiftTemplate = [],
+    employees = [],
+    availability = [],
+    assignments = [],
+    shiftId,
+    employeeId,
+    options = {},
+  } = input;
+
+  const shiftMap = new Map(normalizeShiftRecords(shiftTemplate).map((shift) => [shift.id, shift]));
+  const shift = shiftMap.get(shiftId);
+  if (!shift) {
+    const error = new Error(`Shift ${shiftId} was not provided.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const current = readAssignments(assignments, shiftMap);
+  if (!current.some((assignment) => assignment.shiftId === shiftId && assignment.employeeId === employeeId)) {
+    const error = new Error(`Employee ${employeeId} is not assigned to shift ${shiftId}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const remaining = current.filter(
+    (assignment) => !(assignment.shiftId === shiftId && assignment.employeeId === employeeId)
+  );
+  const employeeMap = normalizeEmployees(employees);
+
+  const context = {
+    shiftTemplate,
+    employees,
+    availability,
+    availabilityMap: normalizeAvailability(availability, shiftDateRange(Array.from(shiftMap.values()))),
+    roleModel: resolveRoleModel(options.roleModel),
+    timeOff: normalizeTimeOff(options.timeOff),
+    validateOptions: {
+      rules: options.rules,
+      roleModel: options.roleModel,
+      startDate: options.startDate,
+      timeOff: options.timeOff,
+    },
+    baseline: new Set(),
+  };
+  validate(remaining, shiftTemplate, employees, availability, context.validateOptions).forEach((error) =>
+    context.baseline.add(errorKey(error))
+  );
+
+  const hours = hoursByEmployee(remaining, shiftMap);
+  const onShift = new Set(
+    remaining.filter((assignment) => assignment.shiftId === shiftId).map((assignment) => assignment.employeeId)
+  );
+  const describe = (employee, fit, changes) => ({
+    employeeId: employee.id,
+    name: employee.name,
+    rolePenalty: fit.rolePenalty,
+    preferred: fit.preferred,
+    pendingTimeOff: fit.pendingTimeOff,
+    hours: Number((hours.get(employee.id) || 0).toFixed(2)),
+    changes,
+  });
+
+  const direct = [];
+  employeeMap.forEach((employee) => {
+    if (employee.id === employeeId || onShift.has(employee.id)) return;
+    const fit = couldCover(context, employee, shift);
+    if (!fit) return;
+    const change = { action: "assign", shiftId, employeeId: employee.id };
+    if (newErrors(context, [...remaining, change]).length > 0) return;
+    direct.push(describe(employee, fit, [change]));
+  });
+
+  const chained = [];
+  if (direct.length === 0) {
+    remaining.forEach((moved) => {
+      if (moved.pinned || moved.shiftId === shiftId || moved.employeeId === employeeId) return;
+      const mover = employeeMap.get(moved.employeeId);
+      const fit = couldCover(context, mover, shift);
+      const vacated = shiftMap.get(moved.shiftId);
+      if (!fit || !vacated) return;
+
+      const without = remaining.filter((assignment) => assignment !== moved);
+      const onVacated = new Set(
+        without.filter((assignment) => assignment.shiftId === vacated.id).map((assignment) => assignment.employeeId)
+      );
+      employeeMap.forEach((backfill) => {
+        if (backfill.id === employeeId || backfill.id === mover.id || onVacated.has(backfill.id)) return;
+        const backfillFit = couldCover(context, backfill, vacated);
+        if (!backfillFit) return;
+        const changes = [
+          { action: "move", employeeId: mover.id, fromShiftId: vacated.id, toShiftId: shiftId },
+          { action: "assign", shiftId: vacated.id, employeeId: backfill.id },
+        ];
+        const proposal = [
+          ...without,
+          { shiftId, employeeId: mover.id },
+          { shiftId: vacated.id, employeeId: backfill.id },
+        ];
+        if (newErrors(context, proposal).length > 0) return;
+        const pendingTimeOff = fit.pendingTimeOff || backfillFit.pendingTimeOff;
+        chained.push({
+          ...describe(mover, { ...fit, pendingTimeOff }, changes),
+          backfillEmployeeId: backfill.id,
+        });
+      });
+    });
+  }
+
+  const candidates = [...direct, ...chained]
+    .sort(compareCandidates)
+    .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+
+  return {
+    shiftId,
+    removedEmployeeId: employeeId,
+    candidates,
+    recommended: candidates[0] || null,
+    ...(candidates.length === 0
+      ? { reason: "No replacement or single chained move passes validation." }
+      : {}),
+  };
+}
+
+module.exports = { replaceCallout };
@@ -0,0 +1,37 @@
+"use strict";
+
+const { dateKey } = require("./utils/time");
+
+// Required skills the employee lacks, or holds only past expiry, on the shift date.
+function checkCertifications(employee, shift) {
+  const result = { missing: [], expired: [] };
+  const required = (shift && shift.requiredSkills) || [];
+  if (required.length === 0) return result;
+
+  const shiftDay = dateKey(shift.start);
+  const held = (employee && employee.certifications) || [];
+
+  required.forEach((skill) => {
+    const matches = held.filter((certification) => certification.name === skill);
+    if (matches.length === 0) {
+      result.missing.push(skill);
+      return;
+    }
+    const current = matches.some(
+      (certification) => !certification.expires || !shiftDay || certification.expires >= shiftDay
+    );
+    if (!current) {
+      const latest = matches.map((certification) => certification.expires).sort().pop();
+      result.expired.push({ skill, expires: latest });
+    }
+  });
+
+  return result;
+}
+
+function isQualified(employee, shift) {
+  const { missing, expired } = checkCertifications(employee, shift);
+  return missing.length === 0 && expired.length === 0;
+}
+
+module.exports = { checkCertifications, isQualified };
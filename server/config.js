@@ -7,7 +7,80 @@ loadEnv();
 const ZAPIER_WEBHOOK_URL = process.env.ZAPIER_WEBHOOK_URL;
 const ZAPIER_ENABLED = /^true$/i.test(process.env.ZAPIER_ENABLED || "true");
 
+function readNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// IANA zone the facility runs in; shift and availability times without an
+// explicit offset are read as wall-clock times there. Defaults to the server zone.
+const FACILITY_TIME_ZONE = (process.env.FACILITY_TIME_ZONE || "").trim() ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: FACILITY_TIME_ZONE });
+} catch (error) {
+  throw new Error(`Invalid FACILITY_TIME_ZONE: ${FACILITY_TIME_ZONE}`);
+}
+
+// Work-rule defaults; 0 disables a rule.
+const MIN_REST_HOURS = readNumber("MIN_REST_HOURS", 8);
+const MAX_CONSECUTIVE_DAYS = readNumber("MAX_CONSECUTIVE_DAYS", 6);
+const MAX_CONSECUTIVE_NIGHTS = readNumber("MAX_CONSECUTIVE_NIGHTS", 4);
+
+// Weekly caps apply per week starting on this day (0 = Sunday, 1 = Monday as in ISO weeks).
+const WEEK_START_DAY = readNumber("WEEK_START_DAY", 1) % 7;
+// Optional cap across a pay period, e.g. 80h over 14 days; 0 disables it.
+const PAY_PERIOD_CAP = readNumber("PAY_PERIOD_CAP", 0);
+const PAY_PERIOD_DAYS = readNumber("PAY_PERIOD_DAYS", 14);
+const PAY_PERIOD_START = process.env.PAY_PERIOD_START || "";
+
+// Labor cost: overtime thresholds (0 disables) and pay multipliers.
+const OVERTIME_WEEKLY_HOURS = readNumber("OVERTIME_WEEKLY_HOURS", 40);
+const OVERTIME_DAILY_HOURS = readNumber("OVERTIME_DAILY_HOURS", 0);
+const OVERTIME_MULTIPLIER = readNumber("OVERTIME_MULTIPLIER", 1.5);
+const HOLIDAY_MULTIPLIER = readNumber("HOLIDAY_MULTIPLIER", 1.5);
+const HOLIDAYS = (process.env.HOLIDAYS || "")
+  .split(",")
+  .map((value) => value.trim())
+  .filter(Boolean);
+
+// Nights, weekends and holidays are balanced over this many days of history.
+const FAIRNESS_WINDOW_DAYS = readNumber("FAIRNESS_WINDOW_DAYS", 28);
+// Optional JSON file where each run's assignments are kept as fairness history.
+const HISTORY_PATH = process.env.HISTORY_PATH || "";
+// JSON file where pending and decided shift swap requests are kept.
+const SWAPS_PATH = process.env.SWAPS_PATH || "data/swaps.json";
+// JSON file holding the open-shift board: unfilled shifts, bids and awards.
+const OPEN_SHIFTS_PATH = process.env.OPEN_SHIFTS_PATH || "data/open-shifts.json";
+// Default order for awarding open shifts: seniority, fewest_hours or first_come.
+const OPEN_SHIFT_PRIORITY = (process.env.OPEN_SHIFT_PRIORITY || "seniority").trim().toLowerCase();
+
+// Optional JSON file describing roles and substitutions (see server/roles.js).
+const ROLE_MODEL_PATH = process.env.ROLE_MODEL_PATH || "";
+// Optional JSON file mapping each table's source field names (see server/fieldMap.js).
+const FIELD_MAP_PATH = process.env.FIELD_MAP_PATH || "";
+
 module.exports = {
   ZAPIER_WEBHOOK_URL,
   ZAPIER_ENABLED,
+  FACILITY_TIME_ZONE,
+  MIN_REST_HOURS,
+  MAX_CONSECUTIVE_DAYS,
+  MAX_CONSECUTIVE_NIGHTS,
+  WEEK_START_DAY,
+  PAY_PERIOD_CAP,
+  PAY_PERIOD_DAYS,
+  PAY_PERIOD_START,
+  OVERTIME_WEEKLY_HOURS,
+  OVERTIME_DAILY_HOURS,
+  OVERTIME_MULTIPLIER,
+  HOLIDAY_MULTIPLIER,
+  HOLIDAYS,
+  FAIRNESS_WINDOW_DAYS,
+  HISTORY_PATH,
+  SWAPS_PATH,
+  OPEN_SHIFTS_PATH,
+  OPEN_SHIFT_PRIORITY,
+  ROLE_MODEL_PATH,
+  FIELD_MAP_PATH,
 };
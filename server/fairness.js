@@ -0,0 +1,107 @@
+"use strict";
+
+const { FAIRNESS_WINDOW_DAYS } = require("./config");
+const { addDays, dateKey, toDateKey, weekdayOfKey } = require("./utils/time");
+const { isNightShift } = require("./workRules");
+
+const UNDESIRABLE_TYPES = ["night", "weekend", "holiday"];
+
+const emptyCounts = () => ({ night: 0, weekend: 0, holiday: 0 });
+const countTotal = (counts) => UNDESIRABLE_TYPES.reduce((sum, type) => sum + counts[type], 0);
+
+// Which undesirable categories a shift falls in; a Saturday night counts twice.
+function undesirableTypes(start, end, holidays = new Set()) {
+  if (!start || !end) return [];
+  const types = [];
+  if (isNightShift(start, end)) types.push("night");
+  const day = dateKey(start);
+  const weekday = weekdayOfKey(day);
+  if (weekday === 0 || weekday === 6) types.push("weekend");
+  if (holidays.has(day)) types.push("holiday");
+  return types;
+}
+
+// Rolling window of history that counts toward this run: the `windowDays` days
+// before the period starts.
+function fairnessWindow(periodStart, windowDays = FAIRNESS_WINDOW_DAYS) {
+  const end = toDateKey(periodStart);
+  if (!end) return null;
+  const requested = Number.parseFloat(windowDays);
+  const days = Number.isFinite(requested) && requested >= 0 ? requested : FAIRNESS_WINDOW_DAYS;
+  return { start: addDays(end, -days), end };
+}
+
+// Per-employee undesirable-shift counts from normalizeHistory() entries inside the window.
+function countHistory(entries = [], window, holidays) {
+  const counts = new Map();
+  if (!window) return counts;
+  entries.forEach((entry) => {
+    const day = dateKey(entry.start);
+    if (day < window.start || day >= window.end) return;
+    if (!counts.has(entry.employeeId)) counts.set(entry.employeeId, emptyCounts());
+    const employeeCounts = counts.get(entry.employeeId);
+    undesirableTypes(entry.start, entry.end, holidays).forEach((type) => {
+      employeeCounts[type] += 1;
+    });
+  });
+  return counts;
+}
+
+// History plus this run, with each employee's share of every category.
+function buildFairnessReport(assignments = [], shifts = [], employeeMap = new Map(), history, window) {
+  const shiftById = new Map(shifts.map((shift) => [shift.id, shift]));
+  const current = new Map();
+  assignments.forEach((assignment) => {
+    const shift = shiftById.get(assignment.shiftId);
+    if (!assignment.employeeId || !shift) return;
+    if (!current.has(assignment.employeeId)) current.set(assignment.employeeId, emptyCounts());
+    const counts = current.get(assignment.employeeId);
+    (shift.undesirable || []).forEach((type) => {
+      counts[type] += 1;
+    });
+  });
+
+  const rows = Array.from(employeeMap.values()).map((employee) => {
+    const past = history.get(employee.id) || emptyCounts();
+    const now = current.get(employee.id) || emptyCounts();
+    const total = emptyCounts();
+    UNDESIRABLE_TYPES.forEach((type) => {
+      total[type] = past[type] + now[type];
+    });
+    return { employeeId: employee.id, name: employee.name, history: past, current: now, total };
+  });
+
+  const overall = emptyCounts();
+  rows.forEach((row) => {
+    UNDESIRABLE_TYPES.forEach((type) => {
+      overall[type] += row.total[type];
+    });
+  });
+  const grandTotal = countTotal(overall);
+
+  const byEmployee = {};
+  rows.forEach((row) => {
+    const share = {};
+    UNDESIRABLE_TYPES.forEach((type) => {
+      share[type] = overall[type] > 0 ? Number((row.total[type] / overall[type]).toFixed(2)) : 0;
+    });
+    share.overall = grandTotal > 0 ? Number((countTotal(row.total) / grandTotal).toFixed(2)) : 0;
+    byEmployee[row.employeeId] = { ...row, share };
+  });
+
+  return {
+    windowStart: window ? window.start : null,
+    windowEnd: window ? window.end : null,
+    totals: overall,
+    byEmployee,
+  };
+}
+
+module.exports = {
+  UNDESIRABLE_TYPES,
+  undesirableTypes,
+  fairnessWindow,
+  countHistory,
+  countTotal,
+  buildFairnessReport,
+};
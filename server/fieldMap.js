@@ -0,0 +1,154 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { FIELD_MAP_PATH } = require("./config");
+
+// Canonical field per table, with the source names tried in order. The first
+// name is the one written back to Airtable.
+const DEFAULT_FIELD_MAP = {
+  employees: {
+    employee_id: ["employee_id", "employeeId"],
+    name: ["name", "Name"],
+    role: ["role"],
+    status: ["status"],
+    weekly_cap: ["weekly_cap", "weeklyCap", "Weekly Cap"],
+    pay_period_cap: ["pay_period_cap", "payPeriodCap", "Pay Period Cap"],
+    hourly_rate: ["hourly_rate", "hourlyRate", "Hourly Rate"],
+    certifications: ["certifications", "Certifications"],
+    hire_date: ["hire_date", "hireDate", "Hire Date"],
+    school_notes: ["school_notes", "schoolNotes", "School Notes"],
+  },
+  availability: {
+    employee_id: ["employee_id", "employee", "Employee", "employees", "Employee ID"],
+    type: ["type", "Type"],
+    date: ["date", "Date"],
+    start_time: ["start_time", "start", "Start"],
+    end_time: ["end_time", "end", "End"],
+    days: ["days", "Days", "weekday", "weekdays", "Weekday"],
+    effective_from: ["effective_from", "effectiveFrom", "Effective From"],
+    effective_to: ["effective_to", "effectiveTo", "Effective To"],
+    exceptions: ["exceptions", "Exceptions"],
+  },
+  shifts: {
+    shift_id: ["shift_id", "Shift Id", "shiftId"],
+    date: ["date", "Date"],
+    role_needed: ["role_needed", "role", "Role"],
+    start_time: ["start_time", "start", "Start"],
+    end_time: ["end_time", "end", "End"],
+    headcount: ["headcount", "slots", "Headcount", "Slots"],
+    required_skills: ["required_skills", "requiredSkills", "Required Skills", "skills"],
+    status: ["status", "Status"],
+    assigned_employee: ["assigned_employee"],
+  },
+};
+
+// Fields the normalizers can't do without when a table is loaded. Optional
+// fields are only checked once the operator maps them.
+const REQUIRED_FIELDS = {
+  employees: ["role"],
+  availability: ["employee_id", "start_time", "end_time"],
+  shifts: ["date", "start_time", "end_time"],
+};
+
+// Per normalized map, the fields the operator configured names for.
+const explicitFields = new WeakMap();
+
+function fieldMapError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Overrides look like { "employees": { "weekly_cap": "Max Hours" } }; a string
+// or a list of names goes ahead of the defaults for that field.
+function normalizeFieldMap(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const map = {};
+  const explicit = {};
+  Object.entries(DEFAULT_FIELD_MAP).forEach(([table, fields]) => {
+    map[table] = {};
+    Object.entries(fields).forEach(([field, names]) => {
+      map[table][field] = [...names];
+    });
+  });
+
+  Object.entries(source).forEach(([table, fields]) => {
+    if (!map[table]) {
+      throw fieldMapError(`Field map names unknown table ${table}; expected ${Object.keys(map).join(", ")}.`);
+    }
+    Object.entries(fields || {}).forEach(([field, names]) => {
+      if (!map[table][field]) {
+        throw fieldMapError(`Field map names unknown ${table} field ${field}.`);
+      }
+      const configured = (Array.isArray(names) ? names : [names])
+        .map((name) => String(name || "").trim())
+        .filter(Boolean);
+      map[table][field] = [...new Set([...configured, ...map[table][field]])];
+      if (configured.length > 0) explicit[table] = [...(explicit[table] || []), field];
+    });
+  });
+  explicitFields.set(map, explicit);
+  return map;
+}
+
+function loadFieldMap(filePath = FIELD_MAP_PATH) {
+  if (!filePath) return {};
+  const raw = fs.readFileSync(path.resolve(process.cwd(), filePath), "utf8");
+  return JSON.parse(raw);
+}
+
+let configuredMap = null;
+
+// Field map from `input`, else FIELD_MAP_PATH, else the defaults.
+function resolveFieldMap(input) {
+  if (input && typeof input === "object") return normalizeFieldMap(input);
+  if (!configuredMap) configuredMap = normalizeFieldMap(loadFieldMap());
+  return configuredMap;
+}
+
+function fieldNames(map, table, field) {
+  return (map[table] && map[table][field]) || [];
+}
+
+// The Airtable name for a canonical field.
+function fieldName(map, table, field) {
+  return fieldNames(map, table, field)[0] || field;
+}
+
+const has = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+// Looks on the record itself, then on record.fields, like readField().
+function readMapped(map, table, record, field) {
+  const names = fieldNames(map, table, field);
+  for (const name of names) {
+    if (has(record, name)) return record[name];
+  }
+  const fields = record && record.fields;
+  for (const name of names) {
+    if (has(fields, name)) return fields[name];
+  }
+  return undefined;
+}
+
+// Required or explicitly mapped fields that no record carries under any of
+// their names. An empty table reports nothing.
+function missingFields(map, table, records = []) {
+  if (records.length === 0) return [];
+  const explicit = (explicitFields.get(map) || {})[table] || [];
+  const checked = new Set([...(REQUIRED_FIELDS[table] || []), ...explicit]);
+  return Object.entries(map[table] || {})
+    .filter(([field]) => checked.has(field))
+    .filter(([field]) => records.every((record) => readMapped(map, table, record, field) === undefined))
+    .map(([field, names]) => ({ field, names }));
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAP,
+  normalizeFieldMap,
+  resolveFieldMap,
+  fieldNames,
+  fieldName,
+  readMapped,
+  missingFields,
+};
@@ -0,0 +1,38 @@
+"use strict";
+
+const { HISTORY_PATH } = require("./config");
+const { loadRecords, writeRecords } = require("./jsonStore");
+const { normalizeShiftRecords } = require("./utils/data");
+
+// Past assignments kept at HISTORY_PATH, in the shape normalizeHistory() reads.
+function loadHistory(filePath = HISTORY_PATH) {
+  return loadRecords(filePath);
+}
+
+// Adds a run's filled assignments to the store. Re-running a schedule replaces
+// the earlier entries for the same shifts instead of counting them twice.
+function recordHistory(assignments = [], shiftTemplate = [], filePath = HISTORY_PATH) {
+  if (!filePath) return [];
+  const shiftById = new Map(normalizeShiftRecords(shiftTemplate).map((shift) => [shift.id, shift]));
+  const entries = [];
+  assignments.forEach((assignment) => {
+    const shift = shiftById.get(assignment.shiftId);
+    if (!assignment.employeeId || !shift || !shift.start) return;
+    entries.push({
+      shift_id: shift.id,
+      employee_id: assignment.employeeId,
+      start_time: shift.start.toISOString(),
+      end_time: shift.end.toISOString(),
+    });
+  });
+
+  const replaced = new Set(shiftById.keys());
+  const history = [
+    ...loadHistory(filePath).filter((entry) => !replaced.has(entry.shift_id)),
+    ...entries,
+  ];
+  writeRecords(history, filePath);
+  return history;
+}
+
+module.exports = { loadHistory, recordHistory };
@@ -5,11 +5,23 @@ const { randomUUID } = require("crypto");
 const express = require("./express");
 const { z } = require("./zod");
 const logger = require("./logger");
-const { schedule } = require("./scheduler");
+const { schedule, checkEligibility, SOLVER_MODES } = require("./scheduler");
 const { validate } = require("./validator");
-const { ZAPIER_ENABLED, ZAPIER_WEBHOOK_URL } = require("./config");
+const { ZAPIER_ENABLED, ZAPIER_WEBHOOK_URL, HISTORY_PATH } = require("./config");
 const { postSchedule } = require("./zapierClient");
+const { loadHistory, recordHistory } = require("./historyStore");
+const { replaceCallout } = require("./callout");
+const { simulate } = require("./simulation");
+const { expandShiftTemplates } = require("./shiftTemplates");
+const { normalizeShiftRecords } = require("./utils/data");
+const { SWAP_TYPES, checkSwap, applyApprovedSwaps } = require("./swaps");
+const { loadSwaps, recordSwap, decideSwap } = require("./swapStore");
+const { OPEN_SHIFT_PRIORITIES, findOpenings, awardOpenShift, applyAwards } = require("./openShifts");
+const { loadOpenShifts, postOpenShifts, addBid, recordAwards } = require("./openShiftStore");
 const { ScheduleRequest } = require("./schemas");
+const { AirtableClient, AirtableRateLimitError } = require("./airtableClient");
+const { resolveScheduleInputs } = require("./scheduleInputs");
+const { publishSchedule } = require("./publish");
 
 const PORT = Number.parseInt(process.env.PORT || "3000", 10);
 const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN ? process.env.ALLOW_ORIGIN.trim() : "";
@@ -84,10 +96,220 @@ const scheduleRequestSchema = ScheduleRequest.extend({
   employees: z.array(employeeRecordSchema).default([]),
   availability: z.array(availabilityRecordSchema).default([]),
   existing_assignments: z.union([z.array(assignmentRecordSchema), z.record(z.string())]).optional(),
+  solver: z
+    .string()
+    .refine((v) => SOLVER_MODES.includes(v), { message: `solver must be one of ${SOLVER_MODES.join(", ")}` })
+    .optional(),
+  rules: z.record(z.any()).optional(),
+  role_model: z.record(z.any()).optional(),
+  explain: z.boolean().optional(),
+  cost_rules: z.record(z.any()).optional(),
+  history: z.array(z.record(z.any())).optional(),
+  history_window_days: z.number().optional(),
+  shift_templates: z.array(z.record(z.any())).optional(),
+  shift_overrides: z.array(z.record(z.any())).optional(),
+  time_off: z.array(z.record(z.any())).optional(),
+  post_open_shifts: z.boolean().optional(),
 }).passthrough();
 
-function createApp() {
+const simulationRequestSchema = scheduleRequestSchema
+  .extend({
+    edits: z.array(z.object({ type: z.string().min(1) }).passthrough()).default([]),
+  })
+  .passthrough();
+
+// Dated shift rows from the payload plus any recurring templates expanded over
+// start_date..end_date.
+function resolveShiftTemplate(parsed) {
+  if (!parsed.shift_templates || parsed.shift_templates.length === 0) return parsed.shift_template;
+  return [
+    ...parsed.shift_template,
+    ...expandShiftTemplates(parsed.shift_templates, {
+      startDate: parsed.start_date,
+      endDate: parsed.end_date,
+      overrides: parsed.shift_overrides || [],
+    }),
+  ];
+}
+
+// Options for schedule() shared by every route that plans from a schedule payload.
+function scheduleOptions(parsed, history, fieldMap) {
+  return {
+    mode: parsed.solver,
+    rules: parsed.rules,
+    roleModel: parsed.role_model,
+    explain: parsed.explain,
+    costRules: parsed.cost_rules,
+    history,
+    historyWindowDays: parsed.history_window_days,
+    startDate: parsed.start_date,
+    timeOff: parsed.time_off,
+    fieldMap,
+  };
+}
+
+const calloutRequestSchema = z
+  .object({
+    shift_id: z.string().min(1),
+    employee_id: z.string().min(1),
+    start_date: z.string().optional(),
+    shift_template: z.array(shiftRecordSchema).default([]),
+    employees: z.array(employeeRecordSchema).default([]),
+    availability: z.array(availabilityRecordSchema).default([]),
+    assignments: z.array(assignmentRecordSchema).default([]),
+    rules: z.record(z.any()).optional(),
+    role_model: z.record(z.any()).optional(),
+    time_off: z.array(z.record(z.any())).optional(),
+  })
+  .passthrough();
+
+const swapRequestSchema = z
+  .object({
+    type: z
+      .string()
+      .refine((v) => SWAP_TYPES.includes(v), { message: `type must be one of ${SWAP_TYPES.join(", ")}` })
+      .default("giveaway"),
+    shift_id: z.string().min(1),
+    counter_shift_id: z.string().min(1).optional(),
+    from_employee_id: z.string().min(1),
+    to_employee_id: z.string().min(1),
+    week_id: z.string().optional(),
+    start_date: z.string().optional(),
+    shift_template: z.array(shiftRecordSchema).default([]),
+    employees: z.array(employeeRecordSchema).default([]),
+    availability: z.array(availabilityRecordSchema).default([]),
+    assignments: z.array(assignmentRecordSchema).default([]),
+    rules: z.record(z.any()).optional(),
+    role_model: z.record(z.any()).optional(),
+    time_off: z.array(z.record(z.any())).optional(),
+  })
+  .passthrough();
+
+const swapDecisionSchema = z.object({
+  swap_id: z.string().min(1),
+  status: z
+    .string()
+    .refine((v) => v === "approved" || v === "denied", { message: "status must be approved or denied" }),
+});
+
+const publishRequestSchema = z
+  .object({
+    week_id: z.string().optional(),
+    start_date: z.string().min(1),
+    end_date: z.string().min(1),
+    assignments: z.array(assignmentRecordSchema).default([]),
+    shift_template: z.array(shiftRecordSchema).default([]),
+    shift_templates: z.array(z.record(z.any())).optional(),
+    shift_overrides: z.array(z.record(z.any())).optional(),
+    cancelled_shift_ids: z.array(z.string().min(1)).default([]),
+    status: z.string().min(1).optional(),
+    confirm: z.boolean().optional(),
+  })
+  .passthrough();
+
+// Board routes re-check eligibility against the caller's current schedule.
+const openShiftContextSchema = z
+  .object({
+    start_date: z.string().optional(),
+    shift_template: z.array(shiftRecordSchema).default([]),
+    employees: z.array(employeeRecordSchema).default([]),
+    availability: z.array(availabilityRecordSchema).default([]),
+    assignments: z.array(assignmentRecordSchema).default([]),
+    rules: z.record(z.any()).optional(),
+    role_model: z.record(z.any()).optional(),
+    time_off: z.array(z.record(z.any())).optional(),
+  })
+  .passthrough();
+
+const openShiftEligibilitySchema = openShiftContextSchema
+  .extend({ employee_id: z.string().min(1).optional() })
+  .passthrough();
+
+const openShiftBidSchema = openShiftContextSchema
+  .extend({ open_shift_id: z.string().min(1), employee_id: z.string().min(1) })
+  .passthrough();
+
+const openShiftAwardSchema = openShiftContextSchema
+  .extend({
+    open_shift_id: z.string().min(1),
+    priority: z
+      .string()
+      .refine((v) => OPEN_SHIFT_PRIORITIES.includes(v), {
+        message: `priority must be one of ${OPEN_SHIFT_PRIORITIES.join(", ")}`,
+      })
+      .optional(),
+  })
+  .passthrough();
+
+const eligibilityOptions = (parsed) => ({
+  rules: parsed.rules,
+  roleModel: parsed.role_model,
+  startDate: parsed.start_date,
+  timeOff: parsed.time_off,
+});
+
+function findBoardEntry(openShiftId) {
+  const record = loadOpenShifts().find((entry) => entry.open_shift_id === openShiftId);
+  if (!record) {
+    const error = new Error(`Open shift ${openShiftId} was not found.`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return record;
+}
+
+// Zod failures become 400s with details, errors carrying a 4xx statusCode pass
+// their message through, and anything else is logged and returned as its
+// statusCode (default 500) with a generic message.
+function sendRouteError(req, res, error, { invalidMessage, logMessage }) {
+  const reqId = (req && req.requestId) || randomUUID();
+  const requestLogger = (req && req.logger) || logger;
+  const isZodError = error && Array.isArray(error.issues);
+
+  if (isZodError) {
+    requestLogger.error(
+      {
+        requestId: reqId,
+        status: 400,
+        error: invalidMessage,
+        validationErrors: error.issues.map((i) => ({
+          path: i.path.join("."),
+          message: i.message,
+        })),
+      },
+      logMessage,
+    );
+    return res.status(400).json({
+      error: invalidMessage,
+      details: error.issues.map((i) => ({ path: i.path.join("."), message: i.message })),
+    });
+  }
+
+  const status = error && Number.isFinite(error.statusCode) ? error.statusCode : 500;
+  if (status < 500) {
+    requestLogger.error({ requestId: reqId, status, error: error.message }, logMessage);
+    return res.status(status).json({ error: error.message });
+  }
+
+  requestLogger.error(
+    {
+      requestId: reqId,
+      status,
+      error: error && error.message ? error.message : "Unable to process request.",
+      stack: error && error.stack ? error.stack : undefined,
+    },
+    logMessage,
+  );
+  return res.status(status).json({ error: "Unable to process request." });
+}
+
+function createApp(options = {}) {
   const app = express();
+  let airtableClient = options.airtableClient || null;
+  const getAirtableClient = () => {
+    if (!airtableClient) airtableClient = new AirtableClient();
+    return airtableClient;
+  };
 
   app.use(express.json({ limit: "1mb" }));
 
@@ -130,21 +352,56 @@ function createApp() {
       const endDate = parsed.end_date;
       const forcePost = req.query && req.query.force === "1";
 
-      const shiftTemplate = parsed.shift_template;
-      const employees = parsed.employees;
-      const availability = parsed.availability;
-      const existingAssignments = parsed.existing_assignments || [];
-
-      const result = schedule(shiftTemplate, employees, availability, existingAssignments);
-      const validationErrors = validate(result.assignments, shiftTemplate, employees, availability);
+      // Collections missing from the payload are loaded from Airtable for the date range.
+      // Rows loaded from Airtable are normalized with the client's field map.
+      const { inputs, sources, missingFields, fieldMap } = await resolveScheduleInputs(
+        payload,
+        parsed,
+        getAirtableClient,
+      );
+      if (Object.keys(missingFields).length > 0) {
+        requestLogger.warn({ requestId, missingFields }, "Airtable records lack mapped fields");
+      }
+      const shiftTemplate = resolveShiftTemplate(inputs);
+      const employees = inputs.employees;
+      const availability = inputs.availability;
+      // Approved swaps and open-shift awards for this run are applied (and
+      // pinned) before scheduling. One stored with a week_id belongs to that
+      // week; without one (or on a run without week_id) it only applies when
+      // its shift is in this run, so undated records don't follow every week.
+      const runShiftIds = new Set(normalizeShiftRecords(shiftTemplate, fieldMap).map((shift) => shift.id));
+      const forRun = (record) =>
+        record.week_id && weekId ? record.week_id === weekId : runShiftIds.has(record.shift_id);
+      const swaps = applyApprovedSwaps(inputs.existing_assignments || [], loadSwaps().filter(forRun));
+      const awards = applyAwards(swaps.assignments, loadOpenShifts().filter(forRun));
+      const existingAssignments = awards.assignments;
+      const history = parsed.history || loadHistory();
+
+      const result = schedule(
+        shiftTemplate,
+        employees,
+        availability,
+        existingAssignments,
+        scheduleOptions(parsed, history, fieldMap),
+      );
+      const validationErrors = validate(result.assignments, shiftTemplate, employees, availability, {
+        rules: parsed.rules,
+        roleModel: parsed.role_model,
+        startDate,
+        timeOff: parsed.time_off,
+        fieldMap,
+      });
 
+      // schedule() already reports assignments over pending time off, and
+      // problems with pinned assignments as pinned_violation warnings.
       const combinedIssues = [
         ...result.issues,
-        ...validationErrors.map((e) => ({
+        ...validationErrors.filter((e) => e.type !== "pending_time_off" && !e.pinned).map((e) => ({
           shiftId: e.shiftId,
           employeeId: e.employeeId,
           reason: e.message,
           type: e.type,
+          ...(e.severity ? { severity: e.severity } : {}),
         })),
       ];
 
@@ -157,6 +414,28 @@ function createApp() {
         issues: combinedIssues,
       };
 
+      // Previews and re-runs leave the board alone; posting is opt-in.
+      let openShifts = null;
+      if (parsed.post_open_shifts === true) {
+        try {
+          openShifts = postOpenShifts(findOpenings(result.assignments), {
+            shiftIds: result.assignments.map((assignment) => assignment.shiftId),
+            weekId: weekId || null,
+          });
+        } catch (err) {
+          openShifts = [];
+          requestLogger.warn({ requestId, error: err.message }, "Failed to post open shifts");
+        }
+      }
+
+      if (HISTORY_PATH && !parsed.history) {
+        try {
+          recordHistory(result.assignments, shiftTemplate);
+        } catch (err) {
+          requestLogger.warn({ requestId, error: err.message }, "Failed to record schedule history");
+        }
+      }
+
       let zapierResult = null;
       if (ZAPIER_ENABLED && ZAPIER_WEBHOOK_URL) {
         try {
@@ -187,6 +466,8 @@ function createApp() {
           assignmentCount: result.assignments.length,
           issueCount: combinedIssues.length,
           validationErrorCount: validationErrors.length,
+          solver: result.solver,
+          sources,
           forcePost,
           zapier: responseZapier,
         },
@@ -201,42 +482,359 @@ function createApp() {
         assignments: result.assignments,
         totalsByEmployee: result.totalsByEmployee,
         issues: combinedIssues,
+        cost: result.cost,
+        fairness: result.fairness,
+        solver: result.solver,
+        ...(result.explanations ? { explanations: result.explanations } : {}),
+        ...(swaps.applied.length > 0 ? { appliedSwaps: swaps.applied } : {}),
+        ...(swaps.skipped.length > 0 ? { skippedSwaps: swaps.skipped } : {}),
+        ...(awards.applied.length > 0 ? { appliedAwards: awards.applied } : {}),
+        ...(openShifts ? { openShifts } : {}),
+        sources,
+        ...(Object.keys(missingFields).length > 0 ? { missingFields } : {}),
         zapier: responseZapier,
       });
     } catch (error) {
-      const reqId = (req && req.requestId) || randomUUID();
-      const requestLogger2 = (req && req.logger) || logger;
-      const isZodError = error && Array.isArray(error.issues);
-
-      if (isZodError) {
-        requestLogger2.error(
-          {
-            requestId: reqId,
-            status: 400,
-            error: "Invalid schedule request payload.",
-            validationErrors: error.issues.map((i) => ({
-              path: i.path.join("."),
-              message: i.message,
-            })),
-          },
-          "Failed to generate schedule",
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid schedule request payload.",
+        logMessage: "Failed to generate schedule",
+      });
+    }
+  });
+
+  // Dry run by default; `"confirm": true` writes the diff to the Shifts table.
+  // Shift rows (or templates) let it create shifts Airtable doesn't have yet.
+  app.post("/publish-schedule", async (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = publishRequestSchema.parse(req.body || {});
+      const client = getAirtableClient();
+      if (!client.apiKey || !client.baseId) {
+        const error = new Error(
+          "Airtable is not configured; set AIRTABLE_API_KEY and AIRTABLE_BASE_ID to publish.",
         );
-        return res.status(400).json({
-          error: "Invalid schedule request payload.",
-          details: error.issues.map((i) => ({ path: i.path.join("."), message: i.message })),
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const shiftRows = resolveShiftTemplate(parsed);
+      let result;
+      try {
+        result = await publishSchedule(client, {
+          assignments: parsed.assignments,
+          range: { start: parsed.start_date, end: parsed.end_date },
+          shiftRows,
+          cancelledShiftIds: parsed.cancelled_shift_ids,
+          status: parsed.status,
+          confirm: parsed.confirm === true,
         });
+      } catch (err) {
+        err.statusCode = err.statusCode || (err instanceof AirtableRateLimitError ? 503 : 502);
+        throw err;
+      }
+
+      requestLogger.info(
+        {
+          requestId: req.requestId,
+          status: 200,
+          weekId: parsed.week_id,
+          dryRun: result.dryRun,
+          summary: result.summary,
+        },
+        result.dryRun ? "Computed publish diff" : "Published schedule",
+      );
+
+      res.status(200).json({ success: true, week_id: parsed.week_id, ...result });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid publish request payload.",
+        logMessage: "Failed to publish schedule",
+      });
+    }
+  });
+
+  app.post("/simulate-schedule", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = simulationRequestSchema.parse(req.body || {});
+      const result = simulate(
+        { ...parsed, shift_template: resolveShiftTemplate(parsed) },
+        parsed.edits,
+        scheduleOptions(parsed, parsed.history || loadHistory()),
+      );
+
+      requestLogger.info(
+        {
+          requestId: req.requestId,
+          status: 200,
+          weekId: parsed.week_id,
+          editCount: parsed.edits.length,
+          filledDelta: result.diff.coverage.delta.filled,
+        },
+        "Simulated schedule edits",
+      );
+
+      res.status(200).json({ success: true, week_id: parsed.week_id, ...result });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid simulation request payload.",
+        logMessage: "Failed to simulate schedule",
+      });
+    }
+  });
+
+  app.post("/replace-callout", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = calloutRequestSchema.parse(req.body || {});
+      const result = replaceCallout({
+        shiftTemplate: parsed.shift_template,
+        employees: parsed.employees,
+        availability: parsed.availability,
+        assignments: parsed.assignments,
+        shiftId: parsed.shift_id,
+        employeeId: parsed.employee_id,
+        options: {
+          rules: parsed.rules,
+          roleModel: parsed.role_model,
+          startDate: parsed.start_date,
+          timeOff: parsed.time_off,
+        },
+      });
+
+      requestLogger.info(
+        {
+          requestId: req.requestId,
+          status: 200,
+          shiftId: parsed.shift_id,
+          employeeId: parsed.employee_id,
+          candidateCount: result.candidates.length,
+        },
+        "Proposed call-out replacements",
+      );
+
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid call-out request payload.",
+        logMessage: "Failed to replace call-out",
+      });
+    }
+  });
+
+  app.post("/swap-requests", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = swapRequestSchema.parse(req.body || {});
+      const result = checkSwap({
+        shiftTemplate: parsed.shift_template,
+        employees: parsed.employees,
+        availability: parsed.availability,
+        assignments: parsed.assignments,
+        swap: parsed,
+        options: {
+          rules: parsed.rules,
+          roleModel: parsed.role_model,
+          startDate: parsed.start_date,
+          timeOff: parsed.time_off,
+        },
+      });
+      const record = result.accepted
+        ? recordSwap(result.swap, { weekId: parsed.week_id, warnings: result.warnings })
+        : null;
+
+      requestLogger.info(
+        {
+          requestId: req.requestId,
+          status: 200,
+          swapId: record ? record.swap_id : null,
+          accepted: result.accepted,
+          reasonCount: result.reasons.length,
+        },
+        "Checked shift swap",
+      );
+
+      res.status(200).json({
+        success: true,
+        accepted: result.accepted,
+        reasons: result.reasons,
+        warnings: result.warnings,
+        swap: record,
+        assignments: result.assignments,
+      });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid swap request payload.",
+        logMessage: "Failed to check shift swap",
+      });
+    }
+  });
+
+  app.get("/swap-requests", (req, res) => {
+    try {
+      const { status, week_id: weekId } = req.query || {};
+      const swaps = loadSwaps().filter(
+        (record) => (!status || record.status === status) && (!weekId || record.week_id === weekId)
+      );
+      res.status(200).json({ success: true, swaps });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid swap query.",
+        logMessage: "Failed to list shift swaps",
+      });
+    }
+  });
+
+  app.post("/swap-requests/decision", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = swapDecisionSchema.parse(req.body || {});
+      const swap = decideSwap(parsed.swap_id, parsed.status);
+      requestLogger.info(
+        { requestId: req.requestId, status: 200, swapId: swap.swap_id, decision: swap.status },
+        "Decided shift swap",
+      );
+      res.status(200).json({ success: true, swap });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid swap decision payload.",
+        logMessage: "Failed to decide shift swap",
+      });
+    }
+  });
+
+  app.get("/open-shifts", (req, res) => {
+    try {
+      const { status, week_id: weekId } = req.query || {};
+      const openShifts = loadOpenShifts().filter(
+        (record) => (!status || record.status === status) && (!weekId || record.week_id === weekId)
+      );
+      res.status(200).json({ success: true, openShifts });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid open-shift query.",
+        logMessage: "Failed to list open shifts",
+      });
+    }
+  });
+
+  // Open entries whose shift is in the payload, each with who could take it.
+  // With employee_id, only the shifts that employee is eligible for.
+  app.post("/open-shifts/eligibility", (req, res) => {
+    try {
+      const parsed = openShiftEligibilitySchema.parse(req.body || {});
+      const shiftIds = new Set(normalizeShiftRecords(parsed.shift_template).map((shift) => shift.id));
+      const openShifts = loadOpenShifts()
+        .filter((record) => record.status === "open" && shiftIds.has(record.shift_id))
+        .map((record) => {
+          const { candidates } = checkEligibility(
+            parsed.shift_template,
+            parsed.employees,
+            parsed.availability,
+            parsed.assignments,
+            record.shift_id,
+            eligibilityOptions(parsed),
+          );
+          return {
+            ...record,
+            candidates: parsed.employee_id
+              ? candidates.filter((candidate) => candidate.employeeId === parsed.employee_id)
+              : candidates,
+          };
+        })
+        .filter(
+          (record) => !parsed.employee_id || record.candidates.some((candidate) => candidate.eligible),
+        );
+      res.status(200).json({ success: true, openShifts });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid open-shift eligibility payload.",
+        logMessage: "Failed to check open-shift eligibility",
+      });
+    }
+  });
+
+  app.post("/open-shifts/bids", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = openShiftBidSchema.parse(req.body || {});
+      const record = findBoardEntry(parsed.open_shift_id);
+      const { candidates } = checkEligibility(
+        parsed.shift_template,
+        parsed.employees,
+        parsed.availability,
+        parsed.assignments,
+        record.shift_id,
+        eligibilityOptions(parsed),
+      );
+      const candidate = candidates.find((entry) => entry.employeeId === parsed.employee_id);
+      if (!candidate || !candidate.eligible) {
+        const error = new Error(
+          candidate ? `Not eligible: ${candidate.reason}.` : `Employee ${parsed.employee_id} was not provided.`,
+        );
+        error.statusCode = 400;
+        throw error;
       }
 
-      requestLogger2.error(
+      const openShift = addBid(record.open_shift_id, parsed.employee_id);
+      requestLogger.info(
+        { requestId: req.requestId, status: 200, openShiftId: openShift.open_shift_id, employeeId: parsed.employee_id },
+        "Recorded open-shift bid",
+      );
+      res.status(200).json({ success: true, openShift });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid open-shift bid payload.",
+        logMessage: "Failed to record open-shift bid",
+      });
+    }
+  });
+
+  app.post("/open-shifts/award", (req, res) => {
+    const requestLogger = req.logger || logger;
+
+    try {
+      const parsed = openShiftAwardSchema.parse(req.body || {});
+      const record = findBoardEntry(parsed.open_shift_id);
+      const result = awardOpenShift(record, {
+        shiftTemplate: parsed.shift_template,
+        employees: parsed.employees,
+        availability: parsed.availability,
+        assignments: parsed.assignments,
+        priority: parsed.priority,
+        options: eligibilityOptions(parsed),
+      });
+      const openShift =
+        result.awarded.length > 0
+          ? recordAwards(
+              record.open_shift_id,
+              result.awarded.map((bid) => bid.employeeId),
+              result.priority,
+            )
+          : record;
+
+      requestLogger.info(
         {
-          requestId: reqId,
-          status: 500,
-          error: error && error.message ? error.message : "Unable to process request.",
-          stack: error && error.stack ? error.stack : undefined,
+          requestId: req.requestId,
+          status: 200,
+          openShiftId: record.open_shift_id,
+          priority: result.priority,
+          awarded: result.awarded.map((bid) => bid.employeeId),
         },
-        "Failed to generate schedule",
+        "Awarded open shift",
       );
-      res.status(500).json({ error: "Unable to process request." });
+      res.status(200).json({ success: true, ...result, openShift });
+    } catch (error) {
+      sendRouteError(req, res, error, {
+        invalidMessage: "Invalid open-shift award payload.",
+        logMessage: "Failed to award open shift",
+      });
     }
   });
 
@@ -258,8 +856,8 @@ function createApp() {
   return app;
 }
 
-function createServer() {
-  const app = createApp();
+function createServer(options = {}) {
+  const app = createApp(options);
   return http.createServer(app);
 }
 
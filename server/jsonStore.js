@@ -0,0 +1,28 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Shared by the history, swap and open-shift stores: each keeps a JSON array
+// in one file, relative paths resolved from the working directory.
+const resolvePath = (filePath) => path.resolve(process.cwd(), filePath);
+
+function storeError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// A missing path or file reads as an empty store.
+function loadRecords(filePath) {
+  if (!filePath || !fs.existsSync(resolvePath(filePath))) return [];
+  const parsed = JSON.parse(fs.readFileSync(resolvePath(filePath), "utf8"));
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+function writeRecords(records, filePath) {
+  fs.mkdirSync(path.dirname(resolvePath(filePath)), { recursive: true });
+  fs.writeFileSync(resolvePath(filePath), `${JSON.stringify(records, null, 2)}\n`);
+}
+
+module.exports = { resolvePath, storeError, loadRecords, writeRecords };
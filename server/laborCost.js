@@ -0,0 +1,158 @@
+"use strict";
+
+const {
+  OVERTIME_WEEKLY_HOURS,
+  OVERTIME_DAILY_HOURS,
+  OVERTIME_MULTIPLIER,
+  HOLIDAY_MULTIPLIER,
+  HOLIDAYS,
+} = require("./config");
+const { toDateKey } = require("./utils/time");
+
+const roundMoney = (value) => Number(value.toFixed(2));
+const roundHours = (value) => Number(value.toFixed(2));
+
+function readNumber(source, keys, fallback) {
+  for (const key of keys) {
+    const value = Number.parseFloat(source && source[key]);
+    if (Number.isFinite(value) && value >= 0) return value;
+  }
+  return fallback;
+}
+
+function normalizeCostRules(input = {}) {
+  const source = input || {};
+  const holidays = Array.isArray(source.holidays) ? source.holidays : HOLIDAYS;
+  return {
+    weeklyOvertimeHours: readNumber(
+      source,
+      ["weekly_overtime_hours", "weeklyOvertimeHours"],
+      OVERTIME_WEEKLY_HOURS
+    ),
+    dailyOvertimeHours: readNumber(
+      source,
+      ["daily_overtime_hours", "dailyOvertimeHours"],
+      OVERTIME_DAILY_HOURS
+    ),
+    overtimeMultiplier: readNumber(
+      source,
+      ["overtime_multiplier", "overtimeMultiplier"],
+      OVERTIME_MULTIPLIER
+    ),
+    holidayMultiplier: readNumber(
+      source,
+      ["holiday_multiplier", "holidayMultiplier"],
+      HOLIDAY_MULTIPLIER
+    ),
+    holidays: new Set(holidays.map(toDateKey).filter(Boolean)),
+  };
+}
+
+function overtimePast(threshold, hoursBefore, hours) {
+  if (!threshold) return 0;
+  return Math.max(0, hoursBefore + hours - threshold) - Math.max(0, hoursBefore - threshold);
+}
+
+// Pay for one shift given hours already worked in its week and day. Weekly and
+// daily overtime don't stack: the larger of the two applies. Holiday hours earn
+// the holiday multiplier, or the overtime one when that is higher.
+function shiftCost(hourlyRate, shift, weekHours, dayHours, rules) {
+  const hours = shift.hours || 0;
+  const weekly = overtimePast(rules.weeklyOvertimeHours, weekHours, hours);
+  const daily = overtimePast(rules.dailyOvertimeHours, dayHours, hours);
+  const overtimeHours = Math.min(hours, Math.max(weekly, daily));
+  const holiday = rules.holidays.has(shift.day);
+  const rate = hourlyRate || 0;
+  const regularRate = rate * (holiday ? rules.holidayMultiplier : 1);
+  const overtimeRate = rate * Math.max(rules.overtimeMultiplier, holiday ? rules.holidayMultiplier : 1);
+
+  return {
+    hours,
+    overtimeHours,
+    overtimeType: overtimeHours > 0 ? (weekly >= daily ? "weekly" : "daily") : null,
+    holiday,
+    cost: regularRate * (hours - overtimeHours) + overtimeRate * overtimeHours,
+  };
+}
+
+// Cost summary for a finished schedule. Shifts must carry `week` and `day` keys;
+// each employee's shifts are priced in start order so overtime lands on the
+// shifts that actually cross a threshold.
+function buildCostReport(assignments = [], shifts = [], employeeMap = new Map(), rules) {
+  const shiftById = new Map(shifts.map((shift) => [shift.id, shift]));
+  const shiftsByEmployee = new Map();
+
+  assignments.forEach((assignment) => {
+    if (!assignment.employeeId) return;
+    const shift = shiftById.get(assignment.shiftId);
+    if (!shift || !shift.start) return;
+    if (!shiftsByEmployee.has(assignment.employeeId)) shiftsByEmployee.set(assignment.employeeId, []);
+    shiftsByEmployee.get(assignment.employeeId).push(shift);
+  });
+
+  const report = { total: 0, byEmployee: {}, byDay: {}, overtime: [] };
+
+  shiftsByEmployee.forEach((employeeShifts, employeeId) => {
+    const employee = employeeMap.get(employeeId);
+    const hourlyRate = employee ? employee.hourlyRate : null;
+    const weekHours = new Map();
+    const dayHours = new Map();
+    const summary = {
+      employeeId,
+      name: employee ? employee.name : "",
+      hourlyRate,
+      regularHours: 0,
+      overtimeHours: 0,
+      cost: 0,
+    };
+
+    employeeShifts
+      .sort((a, b) => a.start.getTime() - b.start.getTime())
+      .forEach((shift) => {
+        const line = shiftCost(
+          hourlyRate,
+          shift,
+          weekHours.get(shift.week) || 0,
+          dayHours.get(shift.day) || 0,
+          rules
+        );
+        weekHours.set(shift.week, (weekHours.get(shift.week) || 0) + line.hours);
+        dayHours.set(shift.day, (dayHours.get(shift.day) || 0) + line.hours);
+
+        summary.regularHours += line.hours - line.overtimeHours;
+        summary.overtimeHours += line.overtimeHours;
+        summary.cost += line.cost;
+        report.byDay[shift.day] = (report.byDay[shift.day] || 0) + line.cost;
+        report.total += line.cost;
+
+        if (line.overtimeHours > 0) {
+          report.overtime.push({
+            shiftId: shift.id,
+            employeeId,
+            overtimeHours: roundHours(line.overtimeHours),
+            type: line.overtimeType,
+          });
+        }
+      });
+
+    summary.regularHours = roundHours(summary.regularHours);
+    summary.overtimeHours = roundHours(summary.overtimeHours);
+    summary.cost = roundMoney(summary.cost);
+    report.byEmployee[employeeId] = summary;
+  });
+
+  report.total = roundMoney(report.total);
+  report.byDay = Object.fromEntries(
+    Object.entries(report.byDay)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, cost]) => [day, roundMoney(cost)])
+  );
+
+  return report;
+}
+
+module.exports = {
+  normalizeCostRules,
+  shiftCost,
+  buildCostReport,
+};
@@ -0,0 +1,101 @@
+"use strict";
+
+const { randomUUID } = require("crypto");
+const { OPEN_SHIFTS_PATH } = require("./config");
+const { loadRecords, storeError, writeRecords } = require("./jsonStore");
+
+// Open-shift board kept at OPEN_SHIFTS_PATH, oldest first.
+function loadOpenShifts(filePath = OPEN_SHIFTS_PATH) {
+  return loadRecords(filePath);
+}
+
+function findOpen(records, openShiftId) {
+  const index = records.findIndex((record) => record.open_shift_id === openShiftId);
+  if (index === -1) throw storeError(`Open shift ${openShiftId} was not found.`, 404);
+  if (records[index].status !== "open") {
+    throw storeError(`Open shift ${openShiftId} is already ${records[index].status}.`, 409);
+  }
+  return index;
+}
+
+// Posts a run's unfilled shifts ({ shiftId, slots, reason }). A shift already
+// on the board is updated in place; open entries for `shiftIds` the run did
+// fill are closed as `filled`. Returns the board entries for `openings`.
+function postOpenShifts(openings = [], { shiftIds = [], weekId = null } = {}, filePath = OPEN_SHIFTS_PATH) {
+  const records = loadOpenShifts(filePath);
+  const stillOpen = new Set(openings.map((opening) => opening.shiftId));
+  const ran = new Set(shiftIds);
+  let changed = false;
+
+  records.forEach((record, index) => {
+    if (record.status === "open" && ran.has(record.shift_id) && !stillOpen.has(record.shift_id)) {
+      records[index] = { ...record, status: "filled" };
+      changed = true;
+    }
+  });
+
+  const posted = openings.map((opening) => {
+    const index = records.findIndex(
+      (record) => record.status === "open" && record.shift_id === opening.shiftId
+    );
+    if (index !== -1) {
+      const awarded = records[index].awards.length;
+      records[index] = { ...records[index], slots: awarded + opening.slots, reason: opening.reason };
+      changed = true;
+      return records[index];
+    }
+    const record = {
+      open_shift_id: randomUUID(),
+      shift_id: opening.shiftId,
+      week_id: weekId,
+      slots: opening.slots,
+      reason: opening.reason,
+      status: "open",
+      posted_at: new Date().toISOString(),
+      bids: [],
+      awards: [],
+    };
+    records.push(record);
+    changed = true;
+    return record;
+  });
+
+  if (changed) writeRecords(records, filePath);
+  return posted;
+}
+
+function addBid(openShiftId, employeeId, filePath = OPEN_SHIFTS_PATH) {
+  const records = loadOpenShifts(filePath);
+  const index = findOpen(records, openShiftId);
+  const record = records[index];
+  if (record.bids.some((bid) => bid.employee_id === employeeId)) {
+    throw storeError(`${employeeId} has already bid on open shift ${openShiftId}.`, 409);
+  }
+  records[index] = {
+    ...record,
+    bids: [...record.bids, { employee_id: employeeId, bid_at: new Date().toISOString() }],
+  };
+  writeRecords(records, filePath);
+  return records[index];
+}
+
+// Records awards; the entry closes once every slot is awarded.
+function recordAwards(openShiftId, employeeIds = [], priority, filePath = OPEN_SHIFTS_PATH) {
+  const records = loadOpenShifts(filePath);
+  const index = findOpen(records, openShiftId);
+  const record = records[index];
+  const awardedAt = new Date().toISOString();
+  const awards = [
+    ...record.awards,
+    ...employeeIds.map((employeeId) => ({ employee_id: employeeId, awarded_at: awardedAt, priority })),
+  ];
+  records[index] = {
+    ...record,
+    awards,
+    status: awards.length >= record.slots ? "awarded" : "open",
+  };
+  writeRecords(records, filePath);
+  return records[index];
+}
+
+module.exports = { loadOpenShifts, postOpenShifts, addBid, recordAwards };
@@ -0,0 +1,147 @@
+"use strict";
+
+const { OPEN_SHIFT_PRIORITY } = require("./config");
+const { assignmentList, normalizeEmployees, readField } = require("./utils/data");
+const { checkEligibility } = require("./scheduler");
+
+const OPEN_SHIFT_PRIORITIES = ["seniority", "fewest_hours", "first_come"];
+
+function resolvePriority(value) {
+  const priority = String(value || OPEN_SHIFT_PRIORITY).trim().toLowerCase();
+  if (!OPEN_SHIFT_PRIORITIES.includes(priority)) {
+    const error = new Error(
+      `Unknown open-shift priority ${priority}; expected ${OPEN_SHIFT_PRIORITIES.join(", ")}.`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return priority;
+}
+
+// Unfilled slots from schedule() assignments, one entry per shift.
+function findOpenings(assignments = []) {
+  const openings = new Map();
+  assignments.forEach((assignment) => {
+    if (assignment.employeeId) return;
+    const opening = openings.get(assignment.shiftId) || {
+      shiftId: assignment.shiftId,
+      slots: 0,
+      reason: assignment.reason || null,
+    };
+    opening.slots += 1;
+    openings.set(assignment.shiftId, opening);
+  });
+  return Array.from(openings.values());
+}
+
+const bySeniority = (a, b) => {
+  if (a.hireDate === b.hireDate) return 0;
+  if (!a.hireDate) return 1;
+  if (!b.hireDate) return -1;
+  return a.hireDate < b.hireDate ? -1 : 1;
+};
+
+const COMPARATORS = {
+  seniority: bySeniority,
+  fewest_hours: (a, b) => a.hours - b.hours,
+  first_come: () => 0,
+};
+
+// Bidders who still pass the scheduler's checks, best first under `priority`.
+// Ties (and every first_come comparison) fall back to bid order.
+function rankBids(record, input = {}) {
+  const {
+    shiftTemplate = [],
+    employees = [],
+    availability = [],
+    assignments = [],
+    options = {},
+  } = input;
+  const priority = resolvePriority(input.priority);
+  const eligibility = checkEligibility(
+    shiftTemplate,
+    employees,
+    availability,
+    assignments,
+    record.shift_id,
+    options
+  );
+  const byEmployee = new Map(eligibility.candidates.map((candidate) => [candidate.employeeId, candidate]));
+  const employeeMap = normalizeEmployees(employees);
+
+  const bids = record.bids.map((bid, order) => {
+    const candidate = byEmployee.get(bid.employee_id);
+    const employee = employeeMap.get(bid.employee_id);
+    return {
+      employeeId: bid.employee_id,
+      name: candidate ? candidate.name : "",
+      bidAt: bid.bid_at,
+      order,
+      hours: candidate ? candidate.hours : 0,
+      hireDate: employee ? employee.hireDate : null,
+      eligible: Boolean(candidate && candidate.eligible),
+      reason: candidate ? candidate.reason : `${bid.employee_id}: not in the employee list`,
+    };
+  });
+
+  const compare = COMPARATORS[priority];
+  const ranked = bids
+    .filter((bid) => bid.eligible)
+    .sort((a, b) => compare(a, b) || a.order - b.order)
+    .map(({ order, eligible, reason, ...bid }) => bid);
+  const ineligible = bids
+    .filter((bid) => !bid.eligible)
+    .map(({ employeeId, reason }) => ({ employeeId, reason }));
+
+  return { priority, openSlots: eligibility.openSlots, ranked, ineligible };
+}
+
+// Picks winners for the record's remaining slots. Awarded assignments are
+// returned pinned, in the shape existing_assignments takes.
+function awardOpenShift(record, input = {}) {
+  const { priority, openSlots, ranked, ineligible } = rankBids(record, input);
+  const remaining = Math.min(openSlots, record.slots - record.awards.length);
+  const awarded = ranked.slice(0, Math.max(0, remaining));
+  return {
+    priority,
+    awarded,
+    ineligible,
+    assignments: awarded.map((bid) => ({
+      shift_id: record.shift_id,
+      employee_id: bid.employeeId,
+      pinned: true,
+    })),
+  };
+}
+
+// Adds each award on the board to the assignment list (pinned), unless the
+// employee is already on that shift.
+function applyAwards(assignments, records = []) {
+  const list = [...assignmentList(assignments)];
+  const held = new Set(
+    list.map(
+      (record) =>
+        `${readField(record, ["shift_id", "shiftId"])}|${readField(record, ["employee_id", "employeeId", "assigned_employee"])}`
+    )
+  );
+  const applied = [];
+  records.forEach((record) => {
+    (record.awards || []).forEach((award) => {
+      const key = `${record.shift_id}|${award.employee_id}`;
+      if (held.has(key)) return;
+      held.add(key);
+      list.push({ shift_id: record.shift_id, employee_id: award.employee_id, pinned: true });
+      if (!applied.includes(record.open_shift_id)) applied.push(record.open_shift_id);
+    });
+  });
+  return { assignments: list, applied };
+}
+
+module.exports = {
+  OPEN_SHIFT_PRIORITIES,
+  resolvePriority,
+  findOpenings,
+  rankBids,
+  awardOpenShift,
+  applyAwards,
+};
@@ -0,0 +1,206 @@
+"use strict";
+
+const { readField } = require("./utils/data");
+const { toDateKey } = require("./utils/time");
+const { fieldName, readMapped, resolveFieldMap } = require("./fieldMap");
+
+const DEFAULT_PUBLISH_STATUS = "Published";
+
+const linkedIds = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+const sameStaff = (a, b) => a.length === b.length && [...a].sort().join() === [...b].sort().join();
+const shiftIdOf = (row) => readField(row, ["shift_id", "shiftId", "id"]);
+
+// Shifts fields written when a shift row has no record yet.
+const CREATE_FIELDS = ["shift_id", "date", "role_needed", "start_time", "end_time", "headcount", "required_skills"];
+
+// The new record's fields, under their mapped Airtable names. The shift_id
+// falls back to the row's id like diffAssignments() keys it, so the next diff
+// matches the created record.
+function createFields(row, fieldMap) {
+  const fields = {};
+  CREATE_FIELDS.forEach((key) => {
+    let value = readMapped(fieldMap, "shifts", row, key);
+    if (key === "shift_id" && value === undefined) value = shiftIdOf(row);
+    if (key === "date") value = toDateKey(value);
+    if (value !== undefined && value !== null && value !== "") fields[fieldName(fieldMap, "shifts", key)] = value;
+  });
+  return fields;
+}
+
+// Desired staff per shift id; unfilled slots (null employee) still put the shift in scope.
+function groupAssignments(assignments = []) {
+  const byShift = new Map();
+  assignments.forEach((assignment) => {
+    const shiftId = readField(assignment, ["shiftId", "shift_id"]);
+    if (!shiftId) return;
+    if (!byShift.has(shiftId)) byShift.set(shiftId, []);
+    const employeeId = readField(assignment, ["employeeId", "employee_id"]);
+    if (employeeId && !byShift.get(shiftId).includes(employeeId)) byShift.get(shiftId).push(employeeId);
+  });
+  return byShift;
+}
+
+// Compares schedule assignments with the Shifts records currently in Airtable.
+// Assignments may name a shift by record id or by its shift_id field. Only
+// shifts the assignments mention are in scope; the rest are left alone. An
+// assigned shift with no record is `missing` when `shiftRows` has its row (so
+// it can be created) and `unknown` otherwise. `cancelledShiftIds` that match a
+// record are `cancelled`, whatever the assignments say.
+function diffAssignments(shiftRecords = [], assignments = [], options = {}) {
+  const employeeField = options.employeeField || "assigned_employee";
+  const statusField = options.statusField || "status";
+  const status = options.status || DEFAULT_PUBLISH_STATUS;
+  const fieldMap = options.fieldMap || resolveFieldMap();
+  const readDate = (fields) => toDateKey(readMapped(fieldMap, "shifts", fields, "date")) || null;
+  const rows = new Map();
+  (options.shiftRows || []).forEach((row) => {
+    const shiftId = shiftIdOf(row);
+    if (shiftId) rows.set(shiftId, row);
+  });
+  const cancelled = new Set(options.cancelledShiftIds || []);
+
+  const records = new Map();
+  shiftRecords.forEach((record) => {
+    records.set(record.id, record);
+    const shiftId = readMapped(fieldMap, "shifts", record.fields || {}, "shift_id");
+    if (shiftId && !records.has(shiftId)) records.set(shiftId, record);
+  });
+
+  const diff = { new: [], changed: [], cleared: [], unchanged: [], missing: [], cancelled: [], unknown: [] };
+  const cancelledRecords = new Set();
+  cancelled.forEach((shiftId) => {
+    const record = records.get(shiftId);
+    if (!record) {
+      diff.unknown.push({ shiftId, after: [] });
+      return;
+    }
+    if (cancelledRecords.has(record.id)) return;
+    cancelledRecords.add(record.id);
+    const fields = record.fields || {};
+    diff.cancelled.push({
+      recordId: record.id,
+      shiftId,
+      date: readDate(fields),
+      before: linkedIds(fields[employeeField]),
+    });
+  });
+
+  groupAssignments(assignments).forEach((after, shiftId) => {
+    if (cancelled.has(shiftId)) return;
+    const record = records.get(shiftId);
+    if (record && cancelledRecords.has(record.id)) return;
+    if (!record && rows.has(shiftId)) {
+      const row = rows.get(shiftId);
+      diff.missing.push({ shiftId, date: readDate(row), after, status, fields: createFields(row, fieldMap) });
+      return;
+    }
+    if (!record) {
+      diff.unknown.push({ shiftId, after });
+      return;
+    }
+    const fields = record.fields || {};
+    const before = linkedIds(fields[employeeField]);
+    const entry = {
+      recordId: record.id,
+      shiftId,
+      date: readDate(fields),
+      before,
+      after,
+      statusBefore: fields[statusField] || null,
+      status,
+    };
+    if (sameStaff(before, after)) diff.unchanged.push(entry);
+    else if (before.length === 0) diff.new.push(entry);
+    else if (after.length === 0) diff.cleared.push(entry);
+    else diff.changed.push(entry);
+  });
+  return diff;
+}
+
+// Loads the Shifts records for the range and diffs them against `assignments`.
+// Unless `confirm` is set nothing is written. On confirmation, new, changed and
+// cleared shifts get their linked employees replaced, every in-scope shift
+// whose status differs is set to `status`, missing shifts are created and
+// cancelled ones deleted. The report has one line per write.
+async function publishSchedule(client, input = {}) {
+  const { assignments = [], range = {}, confirm = false, shiftRows = [], cancelledShiftIds = [] } = input;
+  const status = input.status || DEFAULT_PUBLISH_STATUS;
+  const employeeField = client.shiftEmployeeField;
+  const statusField = client.shiftStatusField;
+
+  const shiftRecords = await client.listShifts(range);
+  const diff = diffAssignments(shiftRecords, assignments, {
+    employeeField,
+    statusField,
+    status,
+    shiftRows,
+    cancelledShiftIds,
+    fieldMap: client.fieldMap,
+  });
+  const summary = {};
+  Object.keys(diff).forEach((key) => {
+    summary[key] = diff[key].length;
+  });
+  if (!confirm) return { dryRun: true, diff, summary };
+
+  const writes = [
+    ...["new", "changed", "cleared"].flatMap((action) =>
+      diff[action].map((entry) => ({
+        action,
+        entry,
+        fields: { [employeeField]: entry.after, [statusField]: status },
+      }))
+    ),
+    ...diff.unchanged
+      .filter((entry) => entry.statusBefore !== status)
+      .map((entry) => ({ action: "status", entry, fields: { [statusField]: status } })),
+  ];
+
+  const results = await client.updateShiftRecords(
+    writes.map(({ entry, fields }) => ({ id: entry.recordId, fields }))
+  );
+  const byId = new Map(results.map((result) => [result.id, result]));
+  const line = (action, entry, recordId, result = { ok: false, error: "No result returned." }) => ({
+    recordId,
+    shiftId: entry.shiftId,
+    action,
+    ok: result.ok,
+    ...(result.error ? { error: result.error } : {}),
+  });
+  const report = writes.map(({ action, entry }) =>
+    line(action, entry, entry.recordId, byId.get(entry.recordId))
+  );
+
+  if (diff.missing.length > 0) {
+    const created = await client.createShiftRecords(
+      diff.missing.map((entry) => ({
+        fields: { ...entry.fields, [employeeField]: entry.after, [statusField]: status },
+      }))
+    );
+    diff.missing.forEach((entry, index) => {
+      const result = created[index];
+      report.push(line("create", entry, result ? result.id : null, result));
+    });
+  }
+
+  if (diff.cancelled.length > 0) {
+    const deleted = await client.deleteShiftRecords(diff.cancelled.map((entry) => entry.recordId));
+    const deletedById = new Map(deleted.map((result) => [result.id, result]));
+    diff.cancelled.forEach((entry) => {
+      report.push(line("delete", entry, entry.recordId, deletedById.get(entry.recordId)));
+    });
+  }
+
+  return {
+    dryRun: false,
+    diff,
+    summary: {
+      ...summary,
+      succeeded: report.filter((entry) => entry.ok).length,
+      failed: report.filter((entry) => !entry.ok).length,
+    },
+    report,
+  };
+}
+
+module.exports = { DEFAULT_PUBLISH_STATUS, diffAssignments, publishSchedule };
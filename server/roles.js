@@ -0,0 +1,119 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ROLE_MODEL_PATH } = require("./config");
+
+// Exact role matches only, plus the CNA_OR_CMA shift requirement.
+const DEFAULT_ROLE_MODEL = {
+  roles: [
+    { name: "CNA", level: 1, covers: [] },
+    { name: "CMA", level: 2, covers: [] },
+  ],
+  groups: { CNA_OR_CMA: ["CNA", "CMA"] },
+  penalties: { upward: 0, downward: 0 },
+};
+
+const norm = (s) => String(s || "").trim().toUpperCase();
+
+function readPenalty(value, fallback) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function normalizeRoleModel(input = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const penalties = source.penalties || {};
+
+  const model = {
+    levels: new Map(),
+    covers: new Map(),
+    groups: new Map(),
+    penalties: {
+      upward: readPenalty(penalties.upward, 0),
+      downward: readPenalty(penalties.downward, 0),
+    },
+  };
+
+  const roles = Array.isArray(source.roles)
+    ? source.roles
+    : Object.entries(source.roles || {}).map(([name, role]) => ({ name, ...role }));
+
+  roles.forEach((role) => {
+    const name = norm(role && (role.name || role.role));
+    if (!name) return;
+
+    const level = Number.parseFloat(role.level);
+    if (Number.isFinite(level)) model.levels.set(name, level);
+
+    const covered = new Map();
+    (Array.isArray(role.covers) ? role.covers : []).forEach((entry) => {
+      const coveredRole = norm(typeof entry === "string" ? entry : entry && (entry.role || entry.name));
+      if (!coveredRole) return;
+      const penalty = entry && typeof entry === "object" ? readPenalty(entry.penalty, null) : null;
+      covered.set(coveredRole, penalty);
+    });
+    model.covers.set(name, covered);
+  });
+
+  // Built-in groups stay available unless the model redefines them.
+  Object.entries({ ...DEFAULT_ROLE_MODEL.groups, ...source.groups }).forEach(([name, members]) => {
+    if (!Array.isArray(members)) return;
+    model.groups.set(norm(name), members.map(norm).filter(Boolean));
+  });
+
+  return model;
+}
+
+function loadRoleModel(filePath = ROLE_MODEL_PATH) {
+  if (!filePath) return DEFAULT_ROLE_MODEL;
+  const raw = fs.readFileSync(path.resolve(process.cwd(), filePath), "utf8");
+  return JSON.parse(raw);
+}
+
+let configuredModel = null;
+
+// Role model from the request payload, else ROLE_MODEL_PATH, else the default.
+function resolveRoleModel(input) {
+  if (input && typeof input === "object") return normalizeRoleModel(input);
+  if (!configuredModel) configuredModel = normalizeRoleModel(loadRoleModel());
+  return configuredModel;
+}
+
+function coveragePenalty(model, employeeRole, coveredRole) {
+  const covered = model.covers.get(employeeRole);
+  if (!covered || !covered.has(coveredRole)) return null;
+
+  const explicit = covered.get(coveredRole);
+  if (explicit !== null) return explicit;
+
+  const employeeLevel = model.levels.get(employeeRole);
+  const coveredLevel = model.levels.get(coveredRole);
+  if (employeeLevel === undefined || coveredLevel === undefined) return 0;
+  if (employeeLevel > coveredLevel) return model.penalties.downward;
+  if (employeeLevel < coveredLevel) return model.penalties.upward;
+  return 0;
+}
+
+// Whether an employee role may work a shift's required role, and at what cost.
+function matchRole(model, employeeRole, roleNeeded) {
+  const employee = norm(employeeRole);
+  const needed = norm(roleNeeded);
+  if (!needed || employee === needed) return { allowed: true, penalty: 0 };
+
+  const accepted = model.groups.get(needed) || [needed];
+  let best = null;
+  accepted.forEach((role) => {
+    const penalty = role === employee ? 0 : coveragePenalty(model, employee, role);
+    if (penalty !== null && (best === null || penalty < best)) best = penalty;
+  });
+
+  return best === null ? { allowed: false, penalty: 0 } : { allowed: true, penalty: best };
+}
+
+module.exports = {
+  DEFAULT_ROLE_MODEL,
+  normalizeRoleModel,
+  resolveRoleModel,
+  matchRole,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const { AirtableRateLimitError } = require("./airtableClient");
+const { missingFields, readMapped } = require("./fieldMap");
+
+const COLLECTIONS = [
+  { key: "employees", table: "employees", load: (client) => client.listEmployees() },
+  { key: "availability", table: "availability", load: (client, range) => client.listAvailability(range) },
+  { key: "shift_template", table: "shifts", load: (client, range) => client.listShifts(range) },
+];
+
+function inputError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Assignments already linked on Airtable shift rows, with the shift's status so
+// Approved and Published ones stay pinned. Reads the names the client writes.
+function linkedAssignments(client, records = []) {
+  const read = (fields, name, field) =>
+    name && fields[name] !== undefined ? fields[name] : readMapped(client.fieldMap, "shifts", fields, field);
+  return records
+    .map((record) => {
+      const fields = record.fields || {};
+      return {
+        shift_id: record.id,
+        employee_id: read(fields, client.shiftEmployeeField, "assigned_employee"),
+        status: read(fields, client.shiftStatusField, "status"),
+      };
+    })
+    .filter((assignment) => [].concat(assignment.employee_id || []).length > 0);
+}
+
+// Fills the employees, availability and shift_template arrays a request left
+// out from Airtable, for start_date..end_date. Arrays present in the raw
+// payload (even empty ones) are used as sent. Shift templates count as
+// provided shifts. `sources` names where each collection came from. Airtable
+// failures are 502s, or 503s when it was still rate limiting after retries.
+// `missingFields` lists, per loaded collection, the required or mapped fields
+// none of its records carry (see server/fieldMap.js). `fieldMap` is the
+// client's map when anything was loaded, for normalizing those records. Shifts
+// loaded without `existing_assignments` in the payload bring their linked
+// employees as the existing assignments.
+async function resolveScheduleInputs(payload = {}, parsed = {}, getClient) {
+  const provided = (key) =>
+    Array.isArray(payload[key]) ||
+    (key === "shift_template" && Array.isArray(payload.shift_templates) && payload.shift_templates.length > 0);
+  const missing = COLLECTIONS.filter(({ key }) => !provided(key));
+
+  const inputs = { ...parsed };
+  const sources = {};
+  const unmatched = {};
+  COLLECTIONS.forEach(({ key }) => {
+    sources[key] = "request";
+  });
+  if (missing.length === 0) return { inputs, sources, missingFields: unmatched };
+
+  const client = getClient();
+  if (!client.apiKey || !client.baseId) {
+    throw inputError(
+      `Request is missing ${missing.map(({ key }) => key).join(", ")}, and Airtable is not configured to load them (set AIRTABLE_API_KEY and AIRTABLE_BASE_ID).`,
+      400
+    );
+  }
+
+  const { fieldMap } = client;
+  const range = { start: parsed.start_date, end: parsed.end_date };
+  for (const { key, table, load } of missing) {
+    try {
+      inputs[key] = await load(client, range);
+    } catch (error) {
+      throw inputError(
+        `Failed to load ${key} from Airtable: ${error.message}`,
+        error instanceof AirtableRateLimitError ? 503 : 502
+      );
+    }
+    sources[key] = "airtable";
+    const fields = missingFields(fieldMap, table, inputs[key]);
+    if (fields.length > 0) unmatched[key] = fields;
+  }
+  if (sources.shift_template === "airtable" && payload.existing_assignments === undefined) {
+    inputs.existing_assignments = linkedAssignments(client, inputs.shift_template);
+  }
+  return { inputs, sources, missingFields: unmatched, fieldMap };
+}
+
+module.exports = { resolveScheduleInputs };
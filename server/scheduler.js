@@ -1,197 +1,828 @@
 "use strict";
 
-// role helpers
-const norm = (s) => String(s || "").trim().toUpperCase();
-const accepts = (empRole, roleNeeded) => {
-  const e = norm(empRole);
-  const r = norm(roleNeeded);
-  if (e === r) return true;
-  if (r === "CNA_OR_CMA") return e === "CNA" || e === "CMA";
-  return false;
-};
-
 const {
   normalizeEmployees,
   normalizeAvailability,
+  shiftDateRange,
   normalizeShiftRecords,
   normalizeAssignments,
+  normalizeHistory,
+  isPinnedAssignment,
 } = require("./utils/data");
-const { overlaps } = require("./utils/time");
+const { dateKey, overlaps } = require("./utils/time");
+const { coverageForShift } = require("./utils/intervals");
+const {
+  normalizeWorkRules,
+  checkWorkRules,
+  hourBuckets,
+  firstShiftStart,
+} = require("./workRules");
+const { resolveRoleModel, matchRole } = require("./roles");
+const { checkCertifications, isQualified } = require("./certifications");
+const { findClassConflict } = require("./schoolHours");
+const {
+  undesirableTypes,
+  fairnessWindow,
+  countHistory,
+  countTotal,
+  buildFairnessReport,
+} = require("./fairness");
+const { normalizeCostRules, shiftCost, buildCostReport } = require("./laborCost");
+const { normalizeTimeOff, findTimeOff } = require("./timeOff");
+
+const SOLVER_MODES = ["optimal", "greedy"];
+const DEFAULT_SOLVER_MODE = "optimal";
+const DEFAULT_NODE_LIMIT = 20000;
+
+// Candidates are filtered in this order; an unfilled shift is explained by the
+// furthest stage any candidate reached.
+const REJECTION_STAGES = [
+  "role",
+  "certification",
+  "class_conflict",
+  "time_off",
+  "availability",
+  "weekly_cap",
+  "pay_period_cap",
+  "conflict",
+  "min_rest",
+  "consecutive_days",
+  "consecutive_nights",
+];
+
+function unfilledReason(stage, shift, rules) {
+  switch (stage) {
+    case "certification":
+      return `No employees hold current certifications for ${shift.requiredSkills.join(", ")}.`;
+    case "class_conflict":
+      return "All remaining employees have class during the shift window.";
+    case "time_off":
+      return "All remaining employees have approved time off during the shift window.";
+    case "availability":
+      return "No employees are available during the shift window.";
+    case "weekly_cap":
+      return "All available employees would exceed their weekly cap.";
+    case "pay_period_cap":
+      return "All available employees would exceed their pay-period cap.";
+    case "conflict":
+      return "All available employees have conflicting assignments.";
+    case "min_rest":
+      return `All available employees would get less than ${rules.minRestHours}h rest between shifts.`;
+    case "consecutive_days":
+      return `All available employees would exceed ${rules.maxConsecutiveDays} consecutive working days.`;
+    case "consecutive_nights":
+      return `All available employees would exceed ${rules.maxConsecutiveNights} consecutive nights.`;
+    default:
+      return `No employees available for role ${shift.roleNeeded || "Either"}.`;
+  }
+}
+
+const roundHours = (hours) => Number(hours.toFixed(2));
+
+function bucketSummary(buckets) {
+  const summary = {};
+  Array.from((buckets || new Map()).entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([bucket, hours]) => {
+      if (hours > 0) summary[bucket] = roundHours(hours);
+    });
+  return summary;
+}
 
-function summarizeTotals(employeeMap, totals, blocks) {
+function summarizeTotals(context, state) {
   const summary = {};
-  for (const [id, employee] of employeeMap.entries()) {
+  for (const [id, employee] of context.employeeMap.entries()) {
     summary[id] = {
       employeeId: id,
       name: employee.name,
       role: employee.role,
       weeklyCap: employee.weeklyCap,
-      hours: Number((totals.get(id) || 0).toFixed(2)),
-      assignments: (blocks.get(id) || []).length,
+      hours: roundHours(state.totals.get(id) || 0),
+      assignments: (state.blocks.get(id) || []).length,
+      hoursByWeek: bucketSummary(state.byWeek.get(id)),
     };
+    const payPeriodCap = employee.payPeriodCap || context.rules.payPeriodCap;
+    if (payPeriodCap) {
+      summary[id].payPeriodCap = payPeriodCap;
+      summary[id].hoursByPayPeriod = bucketSummary(state.byPayPeriod.get(id));
+    }
   }
   return summary;
 }
 
-function coverageForShift(windows = [], shiftStart, shiftEnd) {
-  if (!shiftStart || !shiftEnd) return { available: false, preferred: false };
+function createState() {
+  return {
+    totals: new Map(),
+    blocks: new Map(),
+    byWeek: new Map(),
+    byDay: new Map(),
+    byPayPeriod: new Map(),
+    undesirable: new Map(),
+  };
+}
+
+function addBucketHours(buckets, employeeId, bucket, hours) {
+  if (!buckets.has(employeeId)) buckets.set(employeeId, new Map());
+  const employeeBuckets = buckets.get(employeeId);
+  employeeBuckets.set(bucket, (employeeBuckets.get(bucket) || 0) + hours);
+}
 
-  let hasCoverage = false;
-  let hasPreferred = false;
+function bucketHours(buckets, employeeId, bucket) {
+  const employeeBuckets = buckets.get(employeeId);
+  return (employeeBuckets && employeeBuckets.get(bucket)) || 0;
+}
 
-  windows.forEach((window) => {
-    if (!window.start || !window.end) return;
+function trackAssignment(state, employeeId, shift) {
+  const hours = shift.hours || 0;
+  state.totals.set(employeeId, (state.totals.get(employeeId) || 0) + hours);
+  addBucketHours(state.byWeek, employeeId, shift.week, hours);
+  addBucketHours(state.byDay, employeeId, shift.day, hours);
+  addBucketHours(state.byPayPeriod, employeeId, shift.payPeriod, hours);
+  state.undesirable.set(employeeId, (state.undesirable.get(employeeId) || 0) + shift.undesirable.length);
+  if (!state.blocks.has(employeeId)) state.blocks.set(employeeId, []);
+  state.blocks.get(employeeId).push({ start: shift.start, end: shift.end, shiftId: shift.id });
+}
 
-    const start = window.start.getTime();
-    const end = window.end.getTime();
-    const shiftStartMs = shiftStart.getTime();
-    let shiftEndMs = shiftEnd.getTime();
-    if (shiftEndMs <= shiftStartMs) shiftEndMs += 24 * 60 * 60 * 1000;
+function untrackAssignment(state, employeeId, shift) {
+  const hours = shift.hours || 0;
+  state.totals.set(employeeId, (state.totals.get(employeeId) || 0) - hours);
+  addBucketHours(state.byWeek, employeeId, shift.week, -hours);
+  addBucketHours(state.byDay, employeeId, shift.day, -hours);
+  addBucketHours(state.byPayPeriod, employeeId, shift.payPeriod, -hours);
+  state.undesirable.set(employeeId, (state.undesirable.get(employeeId) || 0) - shift.undesirable.length);
+  const employeeBlocks = state.blocks.get(employeeId) || [];
+  const index = employeeBlocks.findIndex((block) => block.shiftId === shift.id);
+  if (index !== -1) employeeBlocks.splice(index, 1);
+}
 
-    if (start <= shiftStartMs && end >= shiftEndMs) {
-      hasCoverage = true;
-      if (window.preferred) hasPreferred = true;
+// Nights, weekends and holidays worked in the history window plus this run.
+function undesirableLoad(context, state, employeeId) {
+  return (context.historyLoad.get(employeeId) || 0) + (state.undesirable.get(employeeId) || 0);
+}
+
+function isOnShift(state, employeeId, shift) {
+  return (state.blocks.get(employeeId) || []).some((block) => block.shiftId === shift.id);
+}
+
+function evaluateCandidate(context, state, employee, shift) {
+  if (!employee || employee.status !== "active") {
+    return { eligible: false, stage: "role", inactive: true };
+  }
+
+  const role = matchRole(context.roleModel, employee.role, shift.roleNeeded);
+  if (!role.allowed) return { eligible: false, stage: "role" };
+
+  const certifications = checkCertifications(employee, shift);
+  if (certifications.missing.length > 0 || certifications.expired.length > 0) {
+    return { eligible: false, stage: "certification", certifications };
+  }
+
+  const classConflict = findClassConflict(employee.classBlocks, shift.start, shift.end);
+  if (classConflict) return { eligible: false, stage: "class_conflict", classConflict };
+
+  const timeOff = context.timeOff.get(employee.id);
+  const approvedTimeOff = findTimeOff(timeOff, shift.start, shift.end, "approved");
+  if (approvedTimeOff) return { eligible: false, stage: "time_off", timeOff: approvedTimeOff };
+
+  const coverage = coverageForShift(
+    context.availabilityMap.get(employee.id) || [],
+    shift.start,
+    shift.end
+  );
+  if (!coverage.available) return { eligible: false, stage: "availability", coverage };
+
+  const hoursSoFar = bucketHours(state.byWeek, employee.id, shift.week);
+  if (hoursSoFar + (shift.hours || 0) > employee.weeklyCap) {
+    return { eligible: false, stage: "weekly_cap", coverage, hoursSoFar };
+  }
+
+  const payPeriodCap = employee.payPeriodCap || context.rules.payPeriodCap;
+  if (payPeriodCap) {
+    const periodHours = bucketHours(state.byPayPeriod, employee.id, shift.payPeriod);
+    if (periodHours + (shift.hours || 0) > payPeriodCap) {
+      return { eligible: false, stage: "pay_period_cap", coverage, hoursSoFar: periodHours, payPeriodCap };
     }
-  });
+  }
+
+  const employeeBlocks = state.blocks.get(employee.id) || [];
+  const conflict = employeeBlocks.find((block) => overlaps([block], shift.start, shift.end));
+  if (conflict) return { eligible: false, stage: "conflict", coverage, block: conflict };
+
+  const ruleViolation = checkWorkRules(employeeBlocks, shift, context.rules);
+  if (ruleViolation) return { eligible: false, coverage, ...ruleViolation };
+
+  const { cost } = shiftCost(
+    employee.hourlyRate,
+    shift,
+    hoursSoFar,
+    bucketHours(state.byDay, employee.id, shift.day),
+    context.costRules
+  );
 
-  return { available: hasCoverage, preferred: hasPreferred };
+  return {
+    eligible: true,
+    coverage,
+    rolePenalty: role.penalty,
+    cost,
+    pendingTimeOff: findTimeOff(timeOff, shift.start, shift.end, "requested"),
+  };
 }
 
-function schedule(
-  shiftTemplate = [],
-  employees = [],
-  availability = [],
-  existingAssignments = []
-) {
-  const employeeMap = normalizeEmployees(employees);
-  const availabilityMap = normalizeAvailability(availability);
-  const shifts = normalizeShiftRecords(shiftTemplate);
-  const existing = normalizeAssignments(existingAssignments);
+const formatHours = (hours) => `${Number(hours.toFixed(2))}h`;
 
-  const assignments = [];
-  const issues = [];
-  const totals = new Map();
-  const blocks = new Map();
-
-  function trackAssignment(employeeId, shift) {
-    const hours = shift.hours || 0;
-    totals.set(employeeId, (totals.get(employeeId) || 0) + hours);
-    if (!blocks.has(employeeId)) blocks.set(employeeId, []);
-    blocks.get(employeeId).push({ start: shift.start, end: shift.end, shiftId: shift.id });
+// One-line, per-employee reason for a rejection from evaluateCandidate().
+function describeRejection(context, employee, shift, result) {
+  const name = employee.name || employee.id;
+  switch (result.stage) {
+    case "role":
+      return result.inactive
+        ? `${name}: not active`
+        : `${name}: role ${employee.role || "none"} cannot cover ${shift.roleNeeded}`;
+    case "certification": {
+      const gaps = [
+        ...result.certifications.missing.map((skill) => `missing ${skill}`),
+        ...result.certifications.expired.map(({ skill, expires }) => `${skill} expired ${expires}`),
+      ];
+      return `${name}: ${gaps.join(", ")}`;
+    }
+    case "class_conflict":
+      return `${name}: class ${result.classConflict.label} on ${result.classConflict.date}`;
+    case "time_off":
+      return `${name}: approved ${result.timeOff.label}`;
+    case "availability":
+      return `${name}: no availability window covers the shift`;
+    case "weekly_cap":
+      return `${name}: ${formatHours(result.hoursSoFar)} + ${formatHours(shift.hours || 0)} > ${formatHours(employee.weeklyCap)} cap`;
+    case "pay_period_cap":
+      return `${name}: ${formatHours(result.hoursSoFar)} + ${formatHours(shift.hours || 0)} > ${formatHours(result.payPeriodCap)} pay-period cap`;
+    case "conflict":
+      return `${name}: overlaps ${result.block.shiftId}`;
+    case "min_rest":
+      return `${name}: ${formatHours(result.rest)} rest next to ${result.block.shiftId} < ${formatHours(context.rules.minRestHours)} minimum`;
+    case "consecutive_days":
+      return `${name}: ${result.length} consecutive days > ${context.rules.maxConsecutiveDays} maximum`;
+    case "consecutive_nights":
+      return `${name}: ${result.length} consecutive nights > ${context.rules.maxConsecutiveNights} maximum`;
+    default:
+      return `${name}: ${result.stage}`;
   }
+}
 
-  shifts.forEach((shift) => {
-    const existingEmployeeId = existing.get(shift.id);
-    const shiftHours = shift.hours || 0;
+// Every employee considered for an unfilled shift and the rule that ruled them out.
+function explainShift(context, state, shift) {
+  const candidates = [];
+  context.employeeMap.forEach((employee) => {
+    if (isOnShift(state, employee.id, shift)) return;
+    const result = evaluateCandidate(context, state, employee, shift);
+    if (result.eligible) return;
+    candidates.push({
+      employeeId: employee.id,
+      name: employee.name,
+      rule: result.stage,
+      reason: describeRejection(context, employee, shift, result),
+    });
+  });
+  return candidates;
+}
 
-    if (!shift.start || !shift.end) {
-      const reason = "Shift is missing start or end time.";
-      assignments.push({ shiftId: shift.id, employeeId: null, reason });
-      issues.push({ shiftId: shift.id, reason });
+function explainUnfilled(context, state, assignments) {
+  const open = new Map();
+  assignments.forEach((assignment) => {
+    if (!assignment.employeeId && !open.has(assignment.shiftId)) {
+      open.set(assignment.shiftId, assignment.reason);
+    }
+  });
+
+  return context.shifts
+    .filter((shift) => open.has(shift.id))
+    .map((shift) => ({
+      shiftId: shift.id,
+      reason: open.get(shift.id),
+      candidates: shift.start && shift.end ? explainShift(context, state, shift) : [],
+    }));
+}
+
+// Returns eligible candidates best-first, or the reason nobody qualified.
+// Employees without an hourly_rate price at 0, which says nothing about cost.
+const isPriced = (candidate) => candidate.employee.hourlyRate !== null;
+
+function rankCandidates(context, state, shift) {
+  const candidates = [];
+  let furthest = 0;
+
+  context.employeeMap.forEach((employee) => {
+    if (isOnShift(state, employee.id, shift)) return;
+    const result = evaluateCandidate(context, state, employee, shift);
+    if (result.eligible) {
+      candidates.push({
+        employee,
+        coverage: result.coverage,
+        rolePenalty: result.rolePenalty,
+        cost: result.cost,
+        pendingTimeOff: result.pendingTimeOff,
+        load: shift.undesirable.length > 0 ? undesirableLoad(context, state, employee.id) : 0,
+      });
       return;
     }
+    furthest = Math.max(furthest, REJECTION_STAGES.indexOf(result.stage));
+  });
 
-    // Normalize needed role once
-    const needed = norm(shift.roleNeeded || shift.role_needed || "");
-
-    if (existingEmployeeId) {
-      const employee = employeeMap.get(existingEmployeeId);
-      const coverage = availabilityMap.get(existingEmployeeId) || [];
-      const coverageResult = coverageForShift(coverage, shift.start, shift.end);
-      const currentHours = totals.get(existingEmployeeId) || 0;
-
-      const canAssign =
-        employee &&
-        employee.status === "active" &&
-        accepts(employee.role, needed) &&
-        coverageResult.available &&
-        currentHours + shiftHours <= employee.weeklyCap &&
-        !overlaps(blocks.get(existingEmployeeId), shift.start, shift.end);
-
-      if (canAssign) {
-        assignments.push({ shiftId: shift.id, employeeId: existingEmployeeId });
-        trackAssignment(existingEmployeeId, shift);
-        return;
-      }
+  // tie-break: no pending time off, cheapest role coverage, preferred coverage, fewest
+  // nights/weekends/holidays, lowest labor cost (only when both rates are known), then
+  // lowest hours, then fewest assignments, then name
+  candidates.sort((a, b) => {
+    if (Boolean(a.pendingTimeOff) !== Boolean(b.pendingTimeOff)) return a.pendingTimeOff ? 1 : -1;
+    if (a.rolePenalty !== b.rolePenalty) return a.rolePenalty - b.rolePenalty;
+    if (a.coverage.preferred !== b.coverage.preferred) return a.coverage.preferred ? -1 : 1;
+    if (a.load !== b.load) return a.load - b.load;
+    if (isPriced(a) && isPriced(b) && a.cost !== b.cost) return a.cost - b.cost;
+    const hoursA = state.totals.get(a.employee.id) || 0;
+    const hoursB = state.totals.get(b.employee.id) || 0;
+    if (hoursA !== hoursB) return hoursA - hoursB;
+    const assignsA = (state.blocks.get(a.employee.id) || []).length;
+    const assignsB = (state.blocks.get(b.employee.id) || []).length;
+    if (assignsA !== assignsB) return assignsA - assignsB;
+    return (a.employee.name || "").localeCompare(b.employee.name || "");
+  });
+
+  return {
+    candidates,
+    reason:
+      candidates.length > 0
+        ? null
+        : unfilledReason(REJECTION_STAGES[furthest], shift, context.rules),
+  };
+}
 
-      issues.push({
+// Honors existing assignments for a shift, up to its headcount. Pinned ones
+// (flagged, or on an Approved/Published shift) always stay and any rule they
+// break becomes a warning; draft ones stay only while they still fit, and each
+// override records why.
+function placeExisting(context, state, shift) {
+  const staff = [];
+  const released = [];
+  const entries = context.existing.get(shift.id) || [];
+  const pinned = entries.filter((entry) => isPinnedAssignment(entry, shift));
+  const drafts = entries.filter((entry) => !isPinnedAssignment(entry, shift));
+
+  pinned.forEach(({ employeeId }) => {
+    const employee = context.employeeMap.get(employeeId);
+    const result = evaluateCandidate(context, state, employee, shift);
+    const problems = [];
+    if (staff.length >= shift.headcount) problems.push("exceeds the shift headcount");
+    if (!result.eligible) {
+      problems.push(
+        employee ? describeRejection(context, employee, shift, result) : `${employeeId}: not in the employee list`
+      );
+    }
+    if (problems.length > 0) {
+      released.push({
         shiftId: shift.id,
-        employeeId: existingEmployeeId,
-        reason: "Existing assignment violates scheduling rules and was released.",
+        employeeId,
+        type: "pinned_violation",
+        severity: "warning",
+        reason: `Pinned assignment kept despite: ${problems.join("; ")}.`,
       });
     }
+    staff.push(employeeId);
+    trackAssignment(state, employeeId, shift);
+  });
+
+  drafts.forEach(({ employeeId }) => {
+    const employee = context.employeeMap.get(employeeId);
+    let why = null;
+    if (staff.length >= shift.headcount) {
+      why = "exceeds the shift headcount";
+    } else if (!employee) {
+      why = `${employeeId}: not in the employee list`;
+    } else {
+      const result = evaluateCandidate(context, state, employee, shift);
+      if (result.eligible) {
+        staff.push(employeeId);
+        trackAssignment(state, employeeId, shift);
+        return;
+      }
+      why = describeRejection(context, employee, shift, result);
+    }
+    released.push({
+      shiftId: shift.id,
+      employeeId,
+      type: "draft_override",
+      reason: `Draft assignment was released: ${why}.`,
+    });
+  });
+
+  return { staff, released };
+}
+
+// Emits one assignment per slot and a single issue for any slots left open.
+function recordShift(shift, staff, reason, assignments, issues) {
+  staff.forEach((employeeId) => assignments.push({ shiftId: shift.id, employeeId }));
+
+  const missing = shift.headcount - staff.length;
+  if (missing <= 0) return;
+
+  for (let slot = 0; slot < missing; slot += 1) {
+    assignments.push({ shiftId: shift.id, employeeId: null, reason });
+  }
+
+  if (shift.headcount === 1) {
+    issues.push({ shiftId: shift.id, reason });
+    return;
+  }
+  issues.push({
+    shiftId: shift.id,
+    reason: `${staff.length} of ${shift.headcount} filled. ${reason}`,
+    filled: staff.length,
+    headcount: shift.headcount,
+  });
+}
+
+// Fills the remaining slots of a shift with the best-ranked candidates.
+function fillGreedily(context, state, shift, staff) {
+  while (staff.length < shift.headcount) {
+    const { candidates, reason } = rankCandidates(context, state, shift);
+    if (candidates.length === 0) return reason;
+    const chosen = candidates[0].employee;
+    staff.push(chosen.id);
+    trackAssignment(state, chosen.id, shift);
+  }
+  return null;
+}
+
+function scheduleGreedy(context) {
+  const state = createState();
+  const assignments = [];
+  const issues = [];
+
+  context.shifts.forEach((shift) => {
+    if (!shift.start || !shift.end) {
+      recordShift(shift, [], "Shift is missing start or end time.", assignments, issues);
+      return;
+    }
 
-    const activeEmployees = Array.from(employeeMap.values()).filter(
-      (employee) => employee.status === "active" && accepts(employee.role, needed)
+    const { staff, released } = placeExisting(context, state, shift);
+    issues.push(...released);
+
+    const reason = fillGreedily(context, state, shift, staff);
+    recordShift(shift, staff, reason, assignments, issues);
+  });
+
+  return { assignments, issues, state, solver: { mode: "greedy" } };
+}
+
+function sumOfSquaredDeviations(values) {
+  const mean = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+}
+
+function scoreSolution(context, state, picks, filled) {
+  let preferred = 0;
+  let rolePenalty = 0;
+  let cost = 0;
+  let unpriced = 0;
+  let pendingTimeOff = 0;
+  picks.forEach((pick) => {
+    if (pick.pendingTimeOff) pendingTimeOff += 1;
+    if (pick.coverage.preferred) preferred += 1;
+    rolePenalty += pick.rolePenalty;
+    cost += pick.cost;
+    if (!isPriced(pick)) unpriced += 1;
+  });
+
+  const hours = [];
+  const loads = [];
+  context.employeeMap.forEach((employee) => {
+    if (employee.status !== "active") return;
+    hours.push(state.totals.get(employee.id) || 0);
+    loads.push(undesirableLoad(context, state, employee.id));
+  });
+
+  return {
+    filled,
+    pendingTimeOff,
+    rolePenalty,
+    preferred,
+    fairness: sumOfSquaredDeviations(loads),
+    cost,
+    unpriced,
+    spread: sumOfSquaredDeviations(hours),
+  };
+}
+
+function isBetterScore(a, b) {
+  if (a.filled !== b.filled) return a.filled > b.filled;
+  if (a.pendingTimeOff !== b.pendingTimeOff) return a.pendingTimeOff < b.pendingTimeOff;
+  if (a.rolePenalty !== b.rolePenalty) return a.rolePenalty < b.rolePenalty;
+  if (a.preferred !== b.preferred) return a.preferred > b.preferred;
+  if (Math.abs(a.fairness - b.fairness) > 1e-9) return a.fairness < b.fairness;
+  // Costs only compare when every pick has a known rate.
+  if (a.unpriced === 0 && b.unpriced === 0 && Math.abs(a.cost - b.cost) > 1e-9) return a.cost < b.cost;
+  return a.spread < b.spread - 1e-9;
+}
+
+// Depth-first branch-and-bound over the open slots, seeded with the greedy
+// schedule so every later incumbent strictly improves on it. Schedules are
+// compared on more slots filled, then fewer slots over pending time off, then
+// less role-substitution penalty, then more preferred windows, then nights,
+// weekends and holidays spread more evenly (history included), then lower labor
+// cost when every pick has a known rate, then a more even spread of hours.
+//
+// Slots of the same shift are interchangeable. Staff are therefore picked in
+// employee order within a shift, and a slot left open closes the rest of that
+// shift.
+function scheduleOptimal(context, options = {}) {
+  const state = createState();
+  const fixed = new Map();
+  const issuesByShift = new Map();
+  const open = [];
+
+  context.shifts.forEach((shift) => {
+    if (!shift.start || !shift.end) return;
+
+    const { staff, released } = placeExisting(context, state, shift);
+    fixed.set(shift, staff);
+    if (released.length > 0) issuesByShift.set(shift, released);
+    if (staff.length < shift.headcount) open.push(shift);
+  });
+
+  // Most constrained shifts first keeps the search tree narrow near the root.
+  const staticCandidates = new Map(
+    open.map((shift) => [
+      shift,
+      Array.from(context.employeeMap.values()).filter(
+        (employee) =>
+          employee.status === "active" &&
+          matchRole(context.roleModel, employee.role, shift.roleNeeded).allowed &&
+          isQualified(employee, shift) &&
+          coverageForShift(context.availabilityMap.get(employee.id) || [], shift.start, shift.end)
+            .available
+      ).length,
+    ])
+  );
+  const units = open
+    .map((shift, index) => ({ shift, index }))
+    .sort(
+      (a, b) =>
+        staticCandidates.get(a.shift) - staticCandidates.get(b.shift) || a.index - b.index
+    )
+    .flatMap(({ shift }) =>
+      Array.from({ length: shift.headcount - fixed.get(shift).length }, () => ({ shift }))
     );
 
-    if (activeEmployees.length === 0) {
-      const reason = `No employees available for role ${needed || "Either"}.`;
-      assignments.push({ shiftId: shift.id, employeeId: null, reason });
-      issues.push({ shiftId: shift.id, reason });
+  const ordinals = new Map(Array.from(context.employeeMap.keys()).map((id, index) => [id, index]));
+  const picks = new Map();
+
+  const seedFilled = units.reduce((filled, unit) => {
+    const { candidates } = rankCandidates(context, state, unit.shift);
+    if (candidates.length === 0) return filled;
+    picks.set(unit, candidates[0]);
+    trackAssignment(state, candidates[0].employee.id, unit.shift);
+    return filled + 1;
+  }, 0);
+  let best = { score: scoreSolution(context, state, picks, seedFilled), picks: new Map(picks) };
+  picks.forEach((pick, unit) => untrackAssignment(state, pick.employee.id, unit.shift));
+  picks.clear();
+
+  const requestedLimit = Number.parseInt(options.nodeLimit, 10);
+  const nodeLimit =
+    Number.isFinite(requestedLimit) && requestedLimit > 0 ? requestedLimit : DEFAULT_NODE_LIMIT;
+
+  const lastOrdinal = new Map();
+  const closed = new Set();
+  let nodes = 0;
+  let exhaustive = true;
+
+  const search = (index, filled) => {
+    if (filled + (units.length - index) < best.score.filled) return;
+    if (nodes >= nodeLimit) {
+      exhaustive = false;
       return;
     }
+    nodes += 1;
 
-    const availabilityCandidates = activeEmployees
-      .map((employee) => ({
-        employee,
-        coverage: coverageForShift(availabilityMap.get(employee.id) || [], shift.start, shift.end),
-      }))
-      .filter((entry) => entry.coverage.available);
-
-    if (availabilityCandidates.length === 0) {
-      const reason = "No employees are available during the shift window.";
-      assignments.push({ shiftId: shift.id, employeeId: null, reason });
-      issues.push({ shiftId: shift.id, reason });
+    if (index === units.length) {
+      const score = scoreSolution(context, state, picks, filled);
+      if (isBetterScore(score, best.score)) best = { score, picks: new Map(picks) };
       return;
     }
 
-    const withinCap = availabilityCandidates.filter((entry) => {
-      const hoursSoFar = totals.get(entry.employee.id) || 0;
-      return hoursSoFar + shiftHours <= entry.employee.weeklyCap;
-    });
+    const unit = units[index];
+    const { shift } = unit;
+    if (!closed.has(shift)) {
+      const floor = lastOrdinal.has(shift) ? lastOrdinal.get(shift) : -1;
+      const { candidates } = rankCandidates(context, state, shift);
+      for (const candidate of candidates) {
+        const ordinal = ordinals.get(candidate.employee.id);
+        if (ordinal <= floor) continue;
 
-    if (withinCap.length === 0) {
-      const reason = "All available employees would exceed their weekly cap.";
-      assignments.push({ shiftId: shift.id, employeeId: null, reason });
-      issues.push({ shiftId: shift.id, reason });
-      return;
+        trackAssignment(state, candidate.employee.id, shift);
+        picks.set(unit, candidate);
+        lastOrdinal.set(shift, ordinal);
+        search(index + 1, filled + 1);
+        if (floor === -1) lastOrdinal.delete(shift);
+        else lastOrdinal.set(shift, floor);
+        picks.delete(unit);
+        untrackAssignment(state, candidate.employee.id, shift);
+        if (!exhaustive) return;
+      }
     }
 
-    const withoutConflicts = withinCap.filter((entry) => {
-      const employeeBlocks = blocks.get(entry.employee.id) || [];
-      return !overlaps(employeeBlocks, shift.start, shift.end);
-    });
+    const wasClosed = closed.has(shift);
+    closed.add(shift);
+    search(index + 1, filled);
+    if (!wasClosed) closed.delete(shift);
+  };
+
+  search(0, 0);
 
-    if (withoutConflicts.length === 0) {
-      const reason = "All available employees have conflicting assignments.";
-      assignments.push({ shiftId: shift.id, employeeId: null, reason });
-      issues.push({ shiftId: shift.id, reason });
+  const staffByShift = new Map();
+  fixed.forEach((staff, shift) => staffByShift.set(shift, [...staff]));
+  best.picks.forEach((pick, unit) => {
+    staffByShift.get(unit.shift).push(pick.employee.id);
+    trackAssignment(state, pick.employee.id, unit.shift);
+  });
+
+  const assignments = [];
+  const issues = [];
+  context.shifts.forEach((shift) => {
+    issues.push(...(issuesByShift.get(shift) || []));
+
+    if (!shift.start || !shift.end) {
+      recordShift(shift, [], "Shift is missing start or end time.", assignments, issues);
       return;
     }
 
-    // tie-break: preferred coverage, then lowest hours, then fewest assignments, then name
-    withoutConflicts.sort((a, b) => {
-      if (a.coverage.preferred !== b.coverage.preferred) return a.coverage.preferred ? -1 : 1;
-      const hoursA = totals.get(a.employee.id) || 0;
-      const hoursB = totals.get(b.employee.id) || 0;
-      if (hoursA !== hoursB) return hoursA - hoursB;
-      const assignsA = (blocks.get(a.employee.id) || []).length;
-      const assignsB = (blocks.get(b.employee.id) || []).length;
-      if (assignsA !== assignsB) return assignsA - assignsB;
-      return (a.employee.name || "").localeCompare(b.employee.name || "");
-    });
+    // A truncated search can leave a slot open that the final state still fits.
+    const staff = staffByShift.get(shift);
+    const reason = fillGreedily(context, state, shift, staff);
+    recordShift(shift, staff, reason, assignments, issues);
+  });
+
+  return { assignments, issues, state, solver: { mode: "optimal", nodes, exhaustive } };
+}
 
-    const chosen = withoutConflicts[0].employee;
-    assignments.push({ shiftId: shift.id, employeeId: chosen.id });
-    trackAssignment(chosen.id, shift);
+// Normalized inputs shared by schedule() and checkEligibility().
+function buildContext(shiftTemplate, employees, availability, existingAssignments, options) {
+  const shifts = normalizeShiftRecords(shiftTemplate, options.fieldMap);
+  const periodStart = options.startDate || firstShiftStart(shifts);
+  const rules = normalizeWorkRules(options.rules, { periodStart });
+  const costRules = normalizeCostRules(options.costRules);
+  shifts.forEach((shift) => {
+    const buckets = hourBuckets(shift.start, rules);
+    shift.week = buckets.week;
+    shift.day = dateKey(shift.start);
+    shift.payPeriod = buckets.payPeriod;
+    shift.undesirable = undesirableTypes(shift.start, shift.end, costRules.holidays);
   });
 
+  const historyWindow = fairnessWindow(periodStart, options.historyWindowDays);
+  const history = countHistory(normalizeHistory(options.history), historyWindow, costRules.holidays);
+
   return {
-    assignments,
-    issues,
-    totalsByEmployee: summarizeTotals(employeeMap, totals, blocks),
+    employeeMap: normalizeEmployees(employees, options.fieldMap),
+    availabilityMap: normalizeAvailability(availability, shiftDateRange(shifts), options.fieldMap),
+    shifts,
+    existing: normalizeAssignments(existingAssignments),
+    rules,
+    roleModel: resolveRoleModel(options.roleModel),
+    costRules,
+    timeOff: normalizeTimeOff(options.timeOff),
+    history,
+    historyWindow,
+    historyLoad: new Map(Array.from(history.entries()).map(([id, counts]) => [id, countTotal(counts)])),
+  };
+}
+
+function schedule(
+  shiftTemplate = [],
+  employees = [],
+  availability = [],
+  existingAssignments = [],
+  options = {}
+) {
+  const context = buildContext(shiftTemplate, employees, availability, existingAssignments, options);
+
+  const mode = SOLVER_MODES.includes(options.mode) ? options.mode : DEFAULT_SOLVER_MODE;
+  const result =
+    mode === "greedy" ? scheduleGreedy(context) : scheduleOptimal(context, options);
+
+  const cost = buildCostReport(
+    result.assignments,
+    context.shifts,
+    context.employeeMap,
+    context.costRules
+  );
+  const overtimeByAssignment = new Map(
+    cost.overtime.map((entry) => [`${entry.shiftId}|${entry.employeeId}`, entry.overtimeHours])
+  );
+
+  // Pending time off is only avoided, so any assignment made over it is reported.
+  const shiftById = new Map(context.shifts.map((shift) => [shift.id, shift]));
+  const timeOffIssues = [];
+  result.assignments.forEach(({ shiftId, employeeId }) => {
+    const shift = shiftById.get(shiftId);
+    if (!employeeId || !shift) return;
+    const pending = findTimeOff(context.timeOff.get(employeeId), shift.start, shift.end, "requested");
+    if (!pending) return;
+    const employee = context.employeeMap.get(employeeId);
+    timeOffIssues.push({
+      shiftId,
+      employeeId,
+      type: "pending_time_off",
+      severity: "warning",
+      reason: `${(employee && employee.name) || employeeId} is assigned during requested ${pending.label}, which is pending approval.`,
+    });
+  });
+
+  const pinned = new Set();
+  context.shifts.forEach((shift) => {
+    (context.existing.get(shift.id) || []).forEach((entry) => {
+      if (isPinnedAssignment(entry, shift)) pinned.add(`${shift.id}|${entry.employeeId}`);
+    });
+  });
+
+  const output = {
+    assignments: result.assignments.map((assignment) => {
+      const key = `${assignment.shiftId}|${assignment.employeeId}`;
+      const overtimeHours = overtimeByAssignment.get(key);
+      return {
+        ...assignment,
+        ...(pinned.has(key) ? { pinned: true } : {}),
+        ...(overtimeHours ? { overtimeHours } : {}),
+      };
+    }),
+    issues: [...result.issues, ...timeOffIssues],
+    totalsByEmployee: summarizeTotals(context, result.state),
+    cost,
+    fairness: buildFairnessReport(
+      result.assignments,
+      context.shifts,
+      context.employeeMap,
+      context.history,
+      context.historyWindow
+    ),
+    solver: result.solver,
   };
+
+  if (options.explain) {
+    output.explanations = explainUnfilled(context, result.state, result.assignments);
+  }
+
+  return output;
+}
+
+// Whether each employee could take one more slot on `shiftId` on top of the
+// given assignments, using the same checks schedule() applies to candidates.
+function checkEligibility(
+  shiftTemplate = [],
+  employees = [],
+  availability = [],
+  assignments = [],
+  shiftId,
+  options = {}
+) {
+  const context = buildContext(shiftTemplate, employees, availability, assignments, options);
+  const shift = context.shifts.find((candidate) => candidate.id === shiftId);
+  if (!shift) {
+    const error = new Error(`Shift ${shiftId} was not provided.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const state = createState();
+  context.shifts.forEach((entry) => {
+    if (!entry.start || !entry.end) return;
+    (context.existing.get(entry.id) || []).forEach(({ employeeId }) => trackAssignment(state, employeeId, entry));
+  });
+
+  const candidates = Array.from(context.employeeMap.values()).map((employee) => {
+    const base = {
+      employeeId: employee.id,
+      name: employee.name,
+      hours: roundHours(state.totals.get(employee.id) || 0),
+    };
+    if (isOnShift(state, employee.id, shift)) {
+      return { ...base, eligible: false, rule: "conflict", reason: `${employee.name || employee.id}: already on ${shift.id}` };
+    }
+    const result = evaluateCandidate(context, state, employee, shift);
+    if (!result.eligible) {
+      return {
+        ...base,
+        eligible: false,
+        rule: result.stage,
+        reason: describeRejection(context, employee, shift, result),
+      };
+    }
+    return {
+      ...base,
+      eligible: true,
+      ...(result.pendingTimeOff ? { pendingTimeOff: result.pendingTimeOff.label } : {}),
+    };
+  });
+
+  const staffed = (context.existing.get(shift.id) || []).length;
+  return { shiftId: shift.id, openSlots: Math.max(0, shift.headcount - staffed), candidates };
 }
 
-module.exports = { schedule };
+module.exports = { schedule, checkEligibility, SOLVER_MODES };
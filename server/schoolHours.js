@@ -0,0 +1,162 @@
+"use strict";
+
+const { addDays, dateKey, overlaps, weekdayOfKey, zonedTime } = require("./utils/time");
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const FULL_DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DAY_ALIASES = {
+  weekday: [1, 2, 3, 4, 5],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  weekends: [0, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  nightly: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const TIME = String.raw`\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?`;
+const TIME_RANGE = new RegExp(String.raw`(?<![\d:])(${TIME})\s*(?:-|–|—|to)\s*(${TIME})`, "gi");
+
+// "Mon", "Tues", "Thurs", "Mondays" -> weekday number; other words -> null.
+function dayIndex(token) {
+  const word = token.toLowerCase().replace(/(?<=day)s$/, "");
+  if (word.length < 3) return null;
+  const index = FULL_DAY_NAMES.findIndex((name) => name.startsWith(word));
+  return index === -1 ? null : index;
+}
+
+// "Mon/Wed", "Mon-Fri", "Tue & Thu", "Weekdays" -> sorted weekday numbers (0 = Sunday).
+function parseDays(text) {
+  const days = new Set();
+  const pattern = /([a-z]+)(?:\s*(?:-|–|—|through|thru)\s*([a-z]+))?/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const alias = DAY_ALIASES[match[1].toLowerCase()];
+    if (alias) {
+      alias.forEach((day) => days.add(day));
+      continue;
+    }
+    const from = dayIndex(match[1]);
+    if (from === null) continue;
+    const to = match[2] ? dayIndex(match[2]) : null;
+    if (to === null) {
+      days.add(from);
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+// parseDays() for a string or an array of names or numbers (0 = Sunday).
+function parseDayList(value) {
+  if (value === undefined || value === null) return [];
+  const text = Array.isArray(value)
+    ? value.map((day) => (Number.isInteger(day) ? DAY_NAMES[day % 7] : String(day))).join("/")
+    : String(value);
+  return parseDays(text);
+}
+
+// "8", "08:30", "1pm", "12:30 p.m." -> minutes after midnight.
+function parseTime(text, inheritedSuffix) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap])?/i.exec(String(text).trim());
+  if (!match) return null;
+  let hours = Number.parseInt(match[1], 10);
+  const minutes = Number.parseInt(match[2] || "0", 10);
+  const suffix = (match[3] || inheritedSuffix || "").toLowerCase();
+  if (suffix === "p" && hours < 12) hours += 12;
+  if (suffix === "a" && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+const suffixOf = (text) => {
+  const match = /([ap])\.?m/i.exec(text);
+  return match ? match[1] : null;
+};
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+function buildBlock(days, start, end) {
+  if (days.length === 0 || start === null || end === null || start === end) return null;
+  const startTime = formatMinutes(start);
+  const endTime = formatMinutes(end);
+  return {
+    days,
+    start: startTime,
+    end: endTime,
+    label: `${days.map((day) => DAY_NAMES[day]).join("/")} ${startTime}–${endTime}`,
+  };
+}
+
+function parseText(text) {
+  const blocks = [];
+  let cursor = 0;
+  let match;
+  TIME_RANGE.lastIndex = 0;
+  while ((match = TIME_RANGE.exec(text)) !== null) {
+    const days = parseDays(text.slice(cursor, match.index));
+    cursor = TIME_RANGE.lastIndex;
+    const endSuffix = suffixOf(match[2]);
+    let start = parseTime(match[1]);
+    const end = parseTime(match[2]);
+    // "1-3pm": the start borrows the end's am/pm when that keeps it before the end.
+    if (!suffixOf(match[1]) && endSuffix) {
+      const inherited = parseTime(match[1], endSuffix);
+      if (inherited !== null && end !== null && inherited < end) start = inherited;
+    }
+    const block = buildBlock(days, start, end);
+    if (block) blocks.push(block);
+  }
+  return blocks;
+}
+
+// Recurring class blocks from an employee's school_notes. Accepts free text such
+// as "Mon/Wed 08:00–12:00; Fri 1-3pm" or an array of strings or
+// { days, start, end } objects. Text that doesn't describe a block is ignored.
+function parseSchoolNotes(value) {
+  if (!value) return [];
+  if (typeof value === "string") return parseText(value);
+  if (!Array.isArray(value)) return [];
+
+  return value.flatMap((entry) => {
+    if (typeof entry === "string") return parseText(entry);
+    if (!entry || typeof entry !== "object") return [];
+    const block = buildBlock(
+      parseDayList(entry.days),
+      parseTime(entry.start || entry.start_time || ""),
+      parseTime(entry.end || entry.end_time || "")
+    );
+    return block ? [block] : [];
+  });
+}
+
+function atWallClock(key, time) {
+  const [year, month, day] = key.split("-").map((part) => Number.parseInt(part, 10));
+  const [hours, minutes] = time.split(":").map((part) => Number.parseInt(part, 10));
+  return zonedTime(year, month, day, hours, minutes);
+}
+
+// First class block (facility time) that overlaps the shift, or null.
+// Blocks from the day before are checked too, in case a class runs past midnight.
+function findClassConflict(classBlocks = [], shiftStart, shiftEnd) {
+  if (classBlocks.length === 0 || !shiftStart || !shiftEnd) return null;
+  const lastKey = dateKey(shiftEnd);
+  for (let key = addDays(dateKey(shiftStart), -1); key <= lastKey; key = addDays(key, 1)) {
+    const weekday = weekdayOfKey(key);
+    for (const block of classBlocks) {
+      if (!block.days.includes(weekday)) continue;
+      const classTime = { start: atWallClock(key, block.start), end: atWallClock(key, block.end) };
+      if (overlaps([classTime], shiftStart, shiftEnd)) {
+        return { ...block, date: key };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { parseDays, parseDayList, parseSchoolNotes, findClassConflict };
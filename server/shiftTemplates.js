@@ -0,0 +1,103 @@
+"use strict";
+
+const { addDays, daysBetweenKeys, toDateKey, weekdayOfKey } = require("./utils/time");
+const { parseDayList } = require("./schoolHours");
+
+const MAX_RANGE_DAYS = 366;
+
+// Shift fields a template or an override may set on the dated rows it produces.
+const SHIFT_FIELDS = ["role_needed", "start_time", "end_time", "headcount", "required_skills", "status"];
+
+function templateError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// "every weekday", "Mon/Wed/Fri", ["Sat", "Sun"] or [0, 6]; no days means every day.
+function templateDays(value) {
+  if (value === undefined || value === null || value === "") return [0, 1, 2, 3, 4, 5, 6];
+  return parseDayList(value);
+}
+
+function pickShiftFields(source) {
+  const fields = {};
+  SHIFT_FIELDS.forEach((key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+  });
+  return fields;
+}
+
+// Dated shift rows, in the shape normalizeShiftRecords() reads, for every day
+// from startDate to endDate (inclusive) that a template runs on. Overrides keyed
+// by `date` adjust a template's row (`template_id` plus fields), cancel it
+// (`cancel: true`, or every row that day without a `template_id`), or add an
+// extra shift (no `template_id`, with its own times).
+function expandShiftTemplates(templates = [], { startDate, endDate, overrides = [] } = {}) {
+  const first = toDateKey(startDate);
+  const last = toDateKey(endDate);
+  if (!first || !last) throw templateError("Shift templates need start_date and end_date.");
+  const length = daysBetweenKeys(first, last) + 1;
+  if (length < 1) throw templateError("end_date must not be before start_date.");
+  if (length > MAX_RANGE_DAYS) {
+    throw templateError(`Shift templates can cover at most ${MAX_RANGE_DAYS} days.`);
+  }
+
+  const normalized = templates.map((template, index) => {
+    const id = String(template.template_id || template.id || `template${index + 1}`);
+    if (!template.start_time || !template.end_time) {
+      throw templateError(`Shift template ${id} needs start_time and end_time.`);
+    }
+    return { id, days: templateDays(template.days), fields: pickShiftFields(template) };
+  });
+
+  const templateIds = new Set(normalized.map((template) => template.id));
+  const overridesByDate = new Map();
+  overrides.forEach((override) => {
+    const date = toDateKey(override && override.date);
+    if (!date) throw templateError("Each shift override needs a date.");
+    if (override.template_id && !templateIds.has(override.template_id)) {
+      throw templateError(`Shift override on ${date} names unknown template ${override.template_id}.`);
+    }
+    if (!overridesByDate.has(date)) overridesByDate.set(date, []);
+    overridesByDate.get(date).push(override);
+  });
+
+  const shifts = [];
+  for (let offset = 0; offset < length; offset += 1) {
+    const date = addDays(first, offset);
+    const weekday = weekdayOfKey(date);
+    const dayOverrides = overridesByDate.get(date) || [];
+    if (dayOverrides.some((override) => override.cancel && !override.template_id)) continue;
+
+    normalized.forEach((template) => {
+      if (!template.days.includes(weekday)) return;
+      const own = dayOverrides.filter((override) => override.template_id === template.id);
+      if (own.some((override) => override.cancel)) return;
+      shifts.push({
+        shift_id: `${template.id}_${date}`,
+        template_id: template.id,
+        date,
+        ...template.fields,
+        ...Object.assign({}, ...own.map(pickShiftFields)),
+      });
+    });
+
+    dayOverrides
+      .filter((override) => !override.template_id && !override.cancel)
+      .forEach((override, index) => {
+        if (!override.start_time || !override.end_time) {
+          throw templateError(`Extra shift on ${date} needs start_time and end_time.`);
+        }
+        shifts.push({
+          shift_id: override.shift_id || `extra_${date}_${index + 1}`,
+          date,
+          ...pickShiftFields(override),
+        });
+      });
+  }
+
+  return shifts;
+}
+
+module.exports = { expandShiftTemplates };
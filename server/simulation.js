@@ -0,0 +1,255 @@
+"use strict";
+
+const { assignmentList, readField } = require("./utils/data");
+const { toDateKey } = require("./utils/time");
+const { schedule } = require("./scheduler");
+
+const EDIT_TYPES = [
+  "add_employee",
+  "remove_employee",
+  "update_employee",
+  "add_shift",
+  "remove_shift",
+  "update_shift",
+  "add_availability",
+  "remove_availability",
+];
+
+const EMPLOYEE_ID_KEYS = ["id", "employee_id", "employeeId"];
+const SHIFT_ID_KEYS = ["id", "shift_id", "shiftId"];
+const AVAILABILITY_ID_KEYS = ["id", "availability_id", "availabilityId"];
+
+function editError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Employee links on availability and assignments may be a single id or an array.
+function linksTo(record, keys, id) {
+  const value = readField(record, keys);
+  return Array.isArray(value) ? value.includes(id) : value === id;
+}
+
+const matches = (keys, id) => (record) => readField(record, keys) === id;
+
+function requireId(edit, key) {
+  const id = edit[key];
+  if (typeof id !== "string" || !id.trim()) throw editError(`Edit ${edit.type} requires ${key}.`);
+  return id;
+}
+
+function requireRecord(edit, key) {
+  const record = edit[key];
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw editError(`Edit ${edit.type} requires a ${key} object.`);
+  }
+  return record;
+}
+
+// Airtable-shaped records keep their changes under `fields`.
+function withChanges(record, changes) {
+  if (record && record.fields) return { ...record, fields: { ...record.fields, ...changes } };
+  return { ...record, ...changes };
+}
+
+function replaceOne(records, keys, id, label, changes) {
+  const index = records.findIndex(matches(keys, id));
+  if (index === -1) throw editError(`${label} ${id} was not found in the baseline.`);
+  const next = [...records];
+  next[index] = withChanges(records[index], changes);
+  return next;
+}
+
+function removeOne(records, keys, id, label) {
+  const next = records.filter((record) => !matches(keys, id)(record));
+  if (next.length === records.length) throw editError(`${label} ${id} was not found in the baseline.`);
+  return next;
+}
+
+function applyEdit(payload, edit) {
+  const next = { ...payload };
+  switch (edit.type) {
+    case "add_employee":
+      next.employees = [...payload.employees, requireRecord(edit, "employee")];
+      break;
+    case "remove_employee": {
+      const id = requireId(edit, "employee_id");
+      const employeeLinks = ["employee_id", "employeeId", "employee", "assigned_employee"];
+      next.employees = removeOne(payload.employees, EMPLOYEE_ID_KEYS, id, "Employee");
+      next.availability = payload.availability.filter((record) => !linksTo(record, employeeLinks, id));
+      next.existing_assignments = payload.existing_assignments.filter(
+        (record) => !linksTo(record, employeeLinks, id)
+      );
+      break;
+    }
+    case "update_employee":
+      next.employees = replaceOne(
+        payload.employees,
+        EMPLOYEE_ID_KEYS,
+        requireId(edit, "employee_id"),
+        "Employee",
+        requireRecord(edit, "changes")
+      );
+      break;
+    case "add_shift":
+      next.shift_template = [...payload.shift_template, requireRecord(edit, "shift")];
+      break;
+    case "remove_shift": {
+      const id = requireId(edit, "shift_id");
+      next.shift_template = removeOne(payload.shift_template, SHIFT_ID_KEYS, id, "Shift");
+      next.existing_assignments = payload.existing_assignments.filter(
+        (record) => readField(record, ["shift_id", "shiftId"]) !== id
+      );
+      break;
+    }
+    case "update_shift":
+      next.shift_template = replaceOne(
+        payload.shift_template,
+        SHIFT_ID_KEYS,
+        requireId(edit, "shift_id"),
+        "Shift",
+        requireRecord(edit, "changes")
+      );
+      break;
+    case "add_availability":
+      next.availability = [...payload.availability, requireRecord(edit, "availability")];
+      break;
+    case "remove_availability": {
+      // By availability_id, or every row for an employee (optionally on one date).
+      if (edit.availability_id) {
+        next.availability = removeOne(
+          payload.availability,
+          AVAILABILITY_ID_KEYS,
+          edit.availability_id,
+          "Availability"
+        );
+        break;
+      }
+      const id = requireId(edit, "employee_id");
+      next.availability = payload.availability.filter(
+        (record) =>
+          !linksTo(record, ["employee_id", "employeeId", "employee"], id) ||
+          (edit.date && toDateKey(readField(record, ["date", "Date"])) !== edit.date)
+      );
+      break;
+    }
+    default:
+      throw editError(`Unknown edit type ${edit.type}; expected one of ${EDIT_TYPES.join(", ")}.`);
+  }
+  return next;
+}
+
+function applyEdits(payload, edits = []) {
+  const base = {
+    ...payload,
+    shift_template: payload.shift_template || [],
+    employees: payload.employees || [],
+    availability: payload.availability || [],
+    existing_assignments: assignmentList(payload.existing_assignments),
+  };
+  return edits.reduce(applyEdit, base);
+}
+
+const round = (value) => Number(value.toFixed(2));
+
+function staffByShift(result) {
+  const staff = new Map();
+  result.assignments.forEach((assignment) => {
+    if (!staff.has(assignment.shiftId)) staff.set(assignment.shiftId, []);
+    if (assignment.employeeId) staff.get(assignment.shiftId).push(assignment.employeeId);
+  });
+  return staff;
+}
+
+function coverageSummary(result) {
+  const slots = result.assignments.length;
+  const filled = result.assignments.filter((assignment) => assignment.employeeId).length;
+  return { slots, filled, unfilled: slots - filled };
+}
+
+const issueKey = (issue) => `${issue.shiftId || ""}|${issue.employeeId || ""}|${issue.reason}`;
+
+// Structured differences between two schedule() results.
+function diffResults(baseline, edited) {
+  const before = coverageSummary(baseline);
+  const after = coverageSummary(edited);
+
+  const baselineStaff = staffByShift(baseline);
+  const editedStaff = staffByShift(edited);
+  const shiftIds = new Set([...baselineStaff.keys(), ...editedStaff.keys()]);
+  const shifts = [];
+  shiftIds.forEach((shiftId) => {
+    const was = baselineStaff.get(shiftId) || null;
+    const now = editedStaff.get(shiftId) || null;
+    if (was && now && was.slice().sort().join() === now.slice().sort().join()) return;
+    shifts.push({ shiftId, baseline: was, edited: now });
+  });
+
+  const employeeIds = new Set([
+    ...Object.keys(baseline.totalsByEmployee),
+    ...Object.keys(edited.totalsByEmployee),
+  ]);
+  const hours = [];
+  employeeIds.forEach((employeeId) => {
+    const was = baseline.totalsByEmployee[employeeId];
+    const now = edited.totalsByEmployee[employeeId];
+    const wasHours = was ? was.hours : 0;
+    const nowHours = now ? now.hours : 0;
+    if (was && now && wasHours === nowHours) return;
+    hours.push({
+      employeeId,
+      name: (now || was).name,
+      baseline: was ? wasHours : null,
+      edited: now ? nowHours : null,
+      delta: round(nowHours - wasHours),
+    });
+  });
+
+  const baselineIssues = new Set(baseline.issues.map(issueKey));
+  const editedIssues = new Set(edited.issues.map(issueKey));
+
+  return {
+    coverage: {
+      baseline: before,
+      edited: after,
+      delta: { filled: after.filled - before.filled, unfilled: after.unfilled - before.unfilled },
+      shifts,
+    },
+    hours,
+    issues: {
+      added: edited.issues.filter((issue) => !baselineIssues.has(issueKey(issue))),
+      resolved: baseline.issues.filter((issue) => !editedIssues.has(issueKey(issue))),
+    },
+    cost: {
+      baseline: baseline.cost.total,
+      edited: edited.cost.total,
+      delta: round(edited.cost.total - baseline.cost.total),
+    },
+  };
+}
+
+// Runs schedule() on the baseline payload and on a copy with `edits` applied.
+// Nothing is written anywhere; both results come back alongside their diff.
+function simulate(payload, edits = [], options = {}) {
+  const edited = applyEdits(payload, edits);
+  const run = (input) =>
+    schedule(
+      input.shift_template || [],
+      input.employees || [],
+      input.availability || [],
+      input.existing_assignments || [],
+      options
+    );
+
+  const baselineResult = run(payload);
+  const editedResult = run(edited);
+
+  return {
+    baseline: baselineResult,
+    edited: editedResult,
+    diff: diffResults(baselineResult, editedResult),
+  };
+}
+
+module.exports = { EDIT_TYPES, applyEdits, simulate };
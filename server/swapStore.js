@@ -0,0 +1,45 @@
+"use strict";
+
+const { randomUUID } = require("crypto");
+const { SWAPS_PATH } = require("./config");
+const { loadRecords, storeError, writeRecords } = require("./jsonStore");
+
+// Swap requests kept at SWAPS_PATH, oldest first.
+function loadSwaps(filePath = SWAPS_PATH) {
+  return loadRecords(filePath);
+}
+
+// Stores an accepted swap proposal as pending and returns the record.
+function recordSwap(swap, details = {}, filePath = SWAPS_PATH) {
+  const record = {
+    swap_id: randomUUID(),
+    status: "pending",
+    type: swap.type,
+    shift_id: swap.shiftId,
+    counter_shift_id: swap.counterShiftId,
+    from_employee_id: swap.fromEmployeeId,
+    to_employee_id: swap.toEmployeeId,
+    week_id: details.weekId || null,
+    requested_at: new Date().toISOString(),
+    decided_at: null,
+    warnings: details.warnings || [],
+  };
+  writeRecords([...loadSwaps(filePath), record], filePath);
+  return record;
+}
+
+// Approves or denies a pending swap.
+function decideSwap(swapId, status, filePath = SWAPS_PATH) {
+  const swaps = loadSwaps(filePath);
+  const index = swaps.findIndex((record) => record.swap_id === swapId);
+  if (index === -1) throw storeError(`Swap ${swapId} was not found.`, 404);
+  if (swaps[index].status !== "pending") {
+    throw storeError(`Swap ${swapId} is already ${swaps[index].status}.`, 409);
+  }
+  const record = { ...swaps[index], status, decided_at: new Date().toISOString() };
+  swaps[index] = record;
+  writeRecords(swaps, filePath);
+  return record;
+}
+
+module.exports = { loadSwaps, recordSwap, decideSwap };
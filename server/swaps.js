@@ -0,0 +1,145 @@
+"use strict";
+
+const { assignmentList, readField } = require("./utils/data");
+const { validate } = require("./validator");
+
+const SWAP_TYPES = ["swap", "giveaway"];
+
+const SHIFT_KEYS = ["shift_id", "shiftId"];
+const EMPLOYEE_KEYS = ["employee_id", "employeeId", "assigned_employee"];
+
+function swapError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// A giveaway hands `shift_id` from one employee to another; a swap also hands
+// `counter_shift_id` back the other way.
+function normalizeSwap(input = {}) {
+  const type = String(readField(input, ["type"]) || "giveaway").trim().toLowerCase();
+  if (!SWAP_TYPES.includes(type)) {
+    throw swapError(`Unknown swap type ${type}; expected ${SWAP_TYPES.join(" or ")}.`);
+  }
+  const swap = {
+    type,
+    shiftId: readField(input, ["shift_id", "shiftId"]),
+    counterShiftId: readField(input, ["counter_shift_id", "counterShiftId"]) || null,
+    fromEmployeeId: readField(input, ["from_employee_id", "fromEmployeeId"]),
+    toEmployeeId: readField(input, ["to_employee_id", "toEmployeeId"]),
+  };
+  if (!swap.shiftId || !swap.fromEmployeeId || !swap.toEmployeeId) {
+    throw swapError("A swap needs shift_id, from_employee_id and to_employee_id.");
+  }
+  if (swap.fromEmployeeId === swap.toEmployeeId) {
+    throw swapError("A swap needs two different employees.");
+  }
+  if (type === "swap" && !swap.counterShiftId) throw swapError("A swap needs counter_shift_id.");
+  if (type === "giveaway") swap.counterShiftId = null;
+  return swap;
+}
+
+const holds = (shiftId, employeeId) => (record) =>
+  readField(record, SHIFT_KEYS) === shiftId && readField(record, EMPLOYEE_KEYS) === employeeId;
+
+// Keeps whichever employee key the record already uses.
+function reassign(record, employeeId, extra) {
+  const key =
+    EMPLOYEE_KEYS.find((name) => Object.prototype.hasOwnProperty.call(record, name)) ||
+    (Object.prototype.hasOwnProperty.call(record, "shiftId") ? "employeeId" : "employee_id");
+  return { ...record, [key]: employeeId, ...extra };
+}
+
+// The assignment list with the swap applied, or null when either side no longer
+// holds the shift it would hand over.
+function tryApplySwap(assignments, swap, extra = {}) {
+  const list = assignmentList(assignments);
+  const handover = [[swap.shiftId, swap.fromEmployeeId, swap.toEmployeeId]];
+  if (swap.counterShiftId) handover.push([swap.counterShiftId, swap.toEmployeeId, swap.fromEmployeeId]);
+
+  const indexes = handover.map(([shiftId, from]) => list.findIndex(holds(shiftId, from)));
+  if (indexes.some((index) => index === -1)) return null;
+
+  const next = [...list];
+  handover.forEach(([, , to], position) => {
+    next[indexes[position]] = reassign(list[indexes[position]], to, extra);
+  });
+  return next;
+}
+
+// Why `list` can't take the swap: the side that no longer holds its shift.
+function missingHolder(list, swap) {
+  return list.some(holds(swap.shiftId, swap.fromEmployeeId))
+    ? `${swap.toEmployeeId} is not assigned to shift ${swap.counterShiftId}.`
+    : `${swap.fromEmployeeId} is not assigned to shift ${swap.shiftId}.`;
+}
+
+const errorKey = (error) => `${error.type}|${error.shiftId || ""}|${error.employeeId || ""}|${error.message}`;
+
+// Validates both employees' schedules after the swap. Anything validate() finds
+// that the current schedule didn't already have rejects it, except warnings,
+// which are returned alongside an accepted swap.
+function checkSwap(input = {}) {
+  const {
+    shiftTemplate = [],
+    employees = [],
+    availability = [],
+    assignments = [],
+    options = {},
+  } = input;
+  const swap = normalizeSwap(input.swap);
+
+  const current = assignmentList(assignments);
+  const swapped = tryApplySwap(current, swap);
+  if (!swapped) throw swapError(missingHolder(current, swap));
+
+  const run = (list) => validate(list, shiftTemplate, employees, availability, options);
+  const baseline = new Set(run(current).map(errorKey));
+  const involved = new Set([swap.fromEmployeeId, swap.toEmployeeId]);
+  const shifts = new Set([swap.shiftId, swap.counterShiftId].filter(Boolean));
+  const found = run(swapped).filter(
+    (error) =>
+      !baseline.has(errorKey(error)) && (involved.has(error.employeeId) || shifts.has(error.shiftId))
+  );
+
+  const reasons = found.filter((error) => error.severity !== "warning");
+  return {
+    swap,
+    accepted: reasons.length === 0,
+    reasons,
+    warnings: found.filter((error) => error.severity === "warning"),
+    assignments: swapped,
+  };
+}
+
+// Applies approved swap records (as kept by swapStore) in request order, pinning
+// the traded assignments so the scheduler keeps them. A swap that was already
+// applied (its shifts changed hands) is left out; one that can't be applied to
+// this list is returned in `skipped` with the reason.
+function applyApprovedSwaps(assignments, swaps = []) {
+  let list = assignmentList(assignments);
+  const applied = [];
+  const skipped = [];
+  swaps
+    .filter((record) => record.status === "approved")
+    .forEach((record) => {
+      const swap = normalizeSwap(record);
+      const next = tryApplySwap(list, swap, { pinned: true });
+      if (next) {
+        list = next;
+        applied.push(record.swap_id);
+        return;
+      }
+      const done =
+        list.some(holds(swap.shiftId, swap.toEmployeeId)) &&
+        (!swap.counterShiftId || list.some(holds(swap.counterShiftId, swap.fromEmployeeId)));
+      if (done) return;
+      skipped.push({
+        swap_id: record.swap_id,
+        reason: list.length === 0 ? "No existing_assignments to apply it to." : missingHolder(list, swap),
+      });
+    });
+  return { assignments: list, applied, skipped };
+}
+
+module.exports = { SWAP_TYPES, normalizeSwap, checkSwap, applyApprovedSwaps };
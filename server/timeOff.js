@@ -0,0 +1,85 @@
+"use strict";
+
+const { readField } = require("./utils/data");
+const { addDays, combineDateTime, normalizeRange, toDateKey } = require("./utils/time");
+
+const TIME_OFF_TYPES = { pto: "PTO", sick: "Sick", loa: "LOA" };
+const TIME_OFF_STATUSES = ["requested", "approved", "denied"];
+
+function timeOffError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Whole days from start_date through end_date, narrowed by start_time on the
+// first day and end_time on the last when given.
+function timeOffRange(fields) {
+  const firstDay = toDateKey(readField(fields, ["start_date", "startDate", "Start Date", "date", "Date"]));
+  const lastDay =
+    toDateKey(readField(fields, ["end_date", "endDate", "End Date"])) || firstDay;
+  const startTime = readField(fields, ["start_time", "startTime", "Start Time"]);
+  const endTime = readField(fields, ["end_time", "endTime", "End Time"]);
+  if (!firstDay || !lastDay) return { start: null, end: null };
+  const range = normalizeRange(
+    combineDateTime(firstDay, startTime || "00:00"),
+    endTime ? combineDateTime(lastDay, endTime) : combineDateTime(addDays(lastDay, 1), "00:00")
+  );
+  return { ...range, days: firstDay === lastDay ? firstDay : `${firstDay}–${lastDay}` };
+}
+
+// Per employee: approved and requested time off; denied requests are dropped.
+function normalizeTimeOff(records = []) {
+  const byEmployee = new Map();
+
+  records.forEach((record, index) => {
+    const fields = record && record.fields ? record.fields : record;
+    const id = readField(fields, ["id", "time_off_id", "timeOffId"]) || `time_off${index + 1}`;
+    const employeeField = readField(fields, ["employee_id", "employeeId", "employee", "Employee"]);
+    const employeeIds = (Array.isArray(employeeField) ? employeeField : [employeeField]).filter(Boolean);
+    if (employeeIds.length === 0) throw timeOffError(`Time off ${id} needs an employee_id.`);
+
+    const typeKey = String(readField(fields, ["type", "Type"]) || "pto").trim().toLowerCase();
+    if (!TIME_OFF_TYPES[typeKey]) {
+      throw timeOffError(`Time off ${id} has unknown type ${typeKey}; expected PTO, sick or LOA.`);
+    }
+    const status = String(readField(fields, ["status", "Status"]) || "requested").trim().toLowerCase();
+    if (!TIME_OFF_STATUSES.includes(status)) {
+      throw timeOffError(`Time off ${id} has unknown status ${status}; expected ${TIME_OFF_STATUSES.join(", ")}.`);
+    }
+    if (status === "denied") return;
+
+    const range = timeOffRange(fields);
+    if (!range.start || !range.end) throw timeOffError(`Time off ${id} needs a start_date.`);
+
+    const entry = {
+      id,
+      type: TIME_OFF_TYPES[typeKey],
+      status,
+      start: range.start,
+      end: range.end,
+      label: `${TIME_OFF_TYPES[typeKey]} ${range.days}`,
+    };
+    employeeIds.forEach((employeeId) => {
+      if (!byEmployee.has(employeeId)) byEmployee.set(employeeId, []);
+      byEmployee.get(employeeId).push(entry);
+    });
+  });
+
+  return byEmployee;
+}
+
+// First entry with `status` that overlaps the shift, or null.
+function findTimeOff(entries = [], start, end, status) {
+  if (!start || !end) return null;
+  return (
+    entries.find(
+      (entry) =>
+        entry.status === status &&
+        entry.start.getTime() < end.getTime() &&
+        entry.end.getTime() > start.getTime()
+    ) || null
+  );
+}
+
+module.exports = { TIME_OFF_TYPES, TIME_OFF_STATUSES, normalizeTimeOff, findTimeOff };
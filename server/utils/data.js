@@ -1,6 +1,18 @@
 "use strict";
 
-const { combineDateTime, hoursBetween, normalizeRange, toDate } = require("./time");
+const {
+  addDays,
+  combineDateTime,
+  dateKey,
+  daysBetweenKeys,
+  hoursBetween,
+  normalizeRange,
+  toDateKey,
+  weekdayOfKey,
+} = require("./time");
+const { subtractIntervals } = require("./intervals");
+const { parseDayList, parseSchoolNotes } = require("../schoolHours");
+const { fieldNames, readMapped, resolveFieldMap } = require("../fieldMap");
 
 const DEFAULT_WEEKLY_CAP = 40;
 
@@ -16,44 +28,128 @@ function readField(record, keys) {
   return undefined;
 }
 
-function normalizeEmployees(records = []) {
+const normalizeSkill = (value) => String(value || "").trim().toLowerCase();
+const normalizeStatus = (value) => String(value || "").trim().toLowerCase();
+
+// Accepts an array or a comma-separated string.
+function readList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") return value.split(",");
+  return [];
+}
+
+// Certifications arrive as names ("CPR") or objects ({ name, expires }).
+function normalizeCertifications(value) {
+  return readList(value)
+    .map((entry) => {
+      if (entry && typeof entry === "object") {
+        const name = normalizeSkill(readField(entry, ["name", "skill", "certification"]));
+        const expires = readField(entry, ["expires", "expires_on", "expiresOn", "expiry"]);
+        return name ? { name, expires: expires ? toDateKey(expires) : null } : null;
+      }
+      const name = normalizeSkill(entry);
+      return name ? { name, expires: null } : null;
+    })
+    .filter(Boolean);
+}
+
+function normalizeEmployees(records = [], fieldMap = resolveFieldMap()) {
   const map = new Map();
+  const read = (record, field) => readMapped(fieldMap, "employees", record, field);
   records.forEach((record) => {
-    const id = readField(record, ["id", "employee_id", "employeeId"]);
+    const id = readField(record, ["id", ...fieldNames(fieldMap, "employees", "employee_id")]);
     if (!id) return;
 
-    const role = String(readField(record, ["role"]) || "").trim().toUpperCase();
-    const status = String(readField(record, ["status"]) || "Active").trim().toLowerCase();
-    const weeklyCapRaw = readField(record, ["weekly_cap", "weeklyCap", "Weekly Cap"]);
-    const weeklyCapNumber = Number.parseFloat(weeklyCapRaw);
+    const role = String(read(record, "role") || "").trim().toUpperCase();
+    const status = String(read(record, "status") || "Active").trim().toLowerCase();
+    const weeklyCapNumber = Number.parseFloat(read(record, "weekly_cap"));
+    const hourlyRateNumber = Number.parseFloat(read(record, "hourly_rate"));
+    const payPeriodCapNumber = Number.parseFloat(read(record, "pay_period_cap"));
 
     map.set(id, {
       id,
-      name: readField(record, ["name", "Name"]) || "",
+      name: read(record, "name") || "",
       role,
       status,
       weeklyCap:
         Number.isFinite(weeklyCapNumber) && weeklyCapNumber > 0
           ? weeklyCapNumber
           : DEFAULT_WEEKLY_CAP,
+      payPeriodCap:
+        Number.isFinite(payPeriodCapNumber) && payPeriodCapNumber > 0 ? payPeriodCapNumber : null,
+      hourlyRate: Number.isFinite(hourlyRateNumber) && hourlyRateNumber >= 0 ? hourlyRateNumber : null,
+      certifications: normalizeCertifications(read(record, "certifications")),
+      hireDate: toDateKey(read(record, "hire_date")) || null,
+      classBlocks: parseSchoolNotes(read(record, "school_notes")),
     });
   });
   return map;
 }
 
-function normalizeAvailability(records = []) {
-  const availability = new Map();
+// Dates from the day before the first shift (for windows that run past midnight)
+// through the day the last shift ends; recurring availability is expanded over these.
+function shiftDateRange(shifts = []) {
+  const starts = shifts.map((shift) => shift.start).filter(Boolean).map(dateKey).sort();
+  const ends = shifts.map((shift) => shift.end).filter(Boolean).map(dateKey).sort();
+  if (starts.length === 0) return {};
+  return { start: addDays(starts[0], -1), end: ends[ends.length - 1] || starts[starts.length - 1] };
+}
+
+// Dates a recurring row (`days` without `date`) applies to inside `range`,
+// bounded by effective_from/effective_to and skipping `exceptions`.
+function patternDates(fields, range, fieldMap) {
+  const first = toDateKey(range.start);
+  const last = toDateKey(range.end);
+  if (!first || !last) return [];
+  const read = (field) => readMapped(fieldMap, "availability", fields, field);
+  const days = parseDayList(read("days"));
+  const from = toDateKey(read("effective_from"));
+  const to = toDateKey(read("effective_to"));
+  const exceptions = new Set(
+    readList(read("exceptions"))
+      .map((value) => toDateKey(typeof value === "string" ? value.trim() : value))
+      .filter(Boolean)
+  );
+
+  const dates = [];
+  const length = daysBetweenKeys(first, last);
+  for (let offset = 0; offset <= length; offset += 1) {
+    const date = addDays(first, offset);
+    if (!days.includes(weekdayOfKey(date))) continue;
+    if ((from && date < from) || (to && date > to) || exceptions.has(date)) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Per employee: available windows (Available + Preferred) merged where they
+// touch or overlap, plus merged preferred windows, with Unavailable rows carved out.
+// Recurring rows are expanded over `range` ({ start, end } dates). A dated Available
+// or Preferred row replaces the employee's recurring windows on that date; a dated
+// Unavailable row only carves its own time out.
+function normalizeAvailability(records = [], range = {}, fieldMap = resolveFieldMap()) {
+  const read = (fields, field) => readMapped(fieldMap, "availability", fields, field);
+  const byEmployee = new Map();
+  const datedDays = new Set();
+  const patterns = [];
+
+  const addWindow = (employeeId, type, window) => {
+    if (!byEmployee.has(employeeId)) {
+      byEmployee.set(employeeId, { available: [], preferred: [], unavailable: [] });
+    }
+    const entry = byEmployee.get(employeeId);
+    if (type === "unavailable") {
+      entry.unavailable.push(window);
+      return;
+    }
+    entry.available.push(window);
+    if (type === "preferred") entry.preferred.push(window);
+  };
 
   records.forEach((record) => {
     const fields = record && record.fields ? record.fields : record;
 
-    const employeeField = readField(fields, [
-      "employee_id",
-      "employee",
-      "Employee",
-      "employees",
-      "Employee ID",
-    ]);
+    const employeeField = read(fields, "employee_id");
 
     const employeeIds = Array.isArray(employeeField)
       ? employeeField.filter(Boolean)
@@ -63,56 +159,93 @@ function normalizeAvailability(records = []) {
 
     if (employeeIds.length === 0) return;
 
-    const typeRaw = readField(fields, ["type", "Type"]) || "Available";
+    const typeRaw = read(fields, "type") || "Available";
     const type = String(typeRaw).trim().toLowerCase();
-    if (type === "unavailable") return;
 
-    const dateValue = readField(fields, ["date", "Date"]);
-    const startValue = readField(fields, ["start_time", "start", "Start"]);
-    const endValue = readField(fields, ["end_time", "end", "End"]);
+    const dateValue = read(fields, "date");
+    const startValue = read(fields, "start_time");
+    const endValue = read(fields, "end_time");
+
+    if (!dateValue && read(fields, "days") !== undefined) {
+      patterns.push({ fields, employeeIds, type, startValue, endValue });
+      return;
+    }
 
     const start = combineDateTime(dateValue, startValue);
     const end = combineDateTime(dateValue, endValue);
-    const range = normalizeRange(start, end);
-    if (!range.start || !range.end) return;
+    const window = normalizeRange(start, end);
+    if (!window.start || !window.end) return;
 
+    const day = toDateKey(dateValue) || dateKey(window.start);
     employeeIds.forEach((employeeId) => {
-      if (!availability.has(employeeId)) availability.set(employeeId, []);
-      availability.get(employeeId).push({
-        start: range.start,
-        end: range.end,
-        preferred: type === "preferred",
-        recordId: record.id || record.availability_id || record.availabilityId,
+      if (type !== "unavailable") datedDays.add(`${employeeId}|${day}`);
+      addWindow(employeeId, type, window);
+    });
+  });
+
+  patterns.forEach((pattern) => {
+    patternDates(pattern.fields, range, fieldMap).forEach((date) => {
+      const window = normalizeRange(
+        combineDateTime(date, pattern.startValue),
+        combineDateTime(date, pattern.endValue)
+      );
+      if (!window.start || !window.end) return;
+      pattern.employeeIds.forEach((employeeId) => {
+        if (datedDays.has(`${employeeId}|${date}`)) return;
+        addWindow(employeeId, pattern.type, window);
       });
     });
   });
 
+  const availability = new Map();
+  byEmployee.forEach((entry, employeeId) => {
+    const windows = [
+      ...subtractIntervals(entry.available, entry.unavailable).map((window) => ({
+        ...window,
+        preferred: false,
+      })),
+      ...subtractIntervals(entry.preferred, entry.unavailable).map((window) => ({
+        ...window,
+        preferred: true,
+      })),
+    ];
+    if (windows.length > 0) availability.set(employeeId, windows);
+  });
+
   return availability;
 }
 
-function normalizeShiftRecords(records = []) {
+function normalizeShiftRecords(records = [], fieldMap = resolveFieldMap()) {
+  const read = (fields, field) => readMapped(fieldMap, "shifts", fields, field);
   return records
     .map((record) => {
       const fields = record && record.fields ? record.fields : record;
-      const id = readField(record, ["id", "shift_id", "Shift Id", "shiftId"]);
+      const id = readField(record, ["id", ...fieldNames(fieldMap, "shifts", "shift_id")]);
       if (!id) return null;
 
-      const roleRaw = readField(fields, ["role_needed", "role", "Role"]);
+      const roleRaw = read(fields, "role_needed");
       // Normalize; treat "Either" as no specific requirement
       let roleNeeded = String(roleRaw || "Either").trim().toUpperCase();
       if (roleNeeded === "EITHER") roleNeeded = "";
 
-      const dateValue = readField(fields, ["date", "Date"]);
-      const startValue = readField(fields, ["start_time", "start", "Start"]);
-      const endValue = readField(fields, ["end_time", "end", "End"]);
+      const dateValue = read(fields, "date");
+      const startValue = read(fields, "start_time");
+      const endValue = read(fields, "end_time");
 
       const start = combineDateTime(dateValue, startValue);
       const end = combineDateTime(dateValue, endValue);
       const range = normalizeRange(start, end);
 
+      const headcountNumber = Number.parseInt(read(fields, "headcount"), 10);
+
       return {
         id,
         roleNeeded,
+        status: normalizeStatus(read(fields, "status") || "draft"),
+        headcount: Number.isFinite(headcountNumber) && headcountNumber > 0 ? headcountNumber : 1,
+        requiredSkills: readList(read(fields, "required_skills"))
+          .map(normalizeSkill)
+          .filter(Boolean),
         start: range.start,
         end: range.end,
         hours: hoursBetween(range.start, range.end),
@@ -122,47 +255,101 @@ function normalizeShiftRecords(records = []) {
     .filter(Boolean);
 }
 
-// role matcher used by scheduler and validator
-function roleMatches(empRole, roleNeeded) {
-  const e = String(empRole || "").trim().toUpperCase();
-  const r = String(roleNeeded || "").trim().toUpperCase();
-  if (!r) return true;                    // no requirement ⇒ any role ok
-  if (e === r) return true;               // exact match
-  if (r === "CNA_OR_CMA") return e === "CNA" || e === "CMA"; // either role ok
-  return false;
+// Approved and Published shifts are final; their assignments are never moved.
+const LOCKED_STATUSES = new Set(["approved", "published"]);
+
+function isLockedStatus(status) {
+  return LOCKED_STATUSES.has(normalizeStatus(status));
 }
 
+function readFlag(value) {
+  if (typeof value === "string") return /^(true|yes|1)$/i.test(value.trim());
+  return value === true || value === 1;
+}
+
+// An assignment is pinned when flagged `pinned`/`locked`, when its own status
+// is Approved or Published, or when its shift's is. Shared by the scheduler,
+// the validator and call-out replacement so they agree on what stays put.
+function isPinnedAssignment(assignment, shift) {
+  return (
+    readFlag(readField(assignment, ["pinned", "locked", "Pinned"])) ||
+    isLockedStatus(readField(assignment, ["status", "Status"])) ||
+    Boolean(shift && isLockedStatus(shift.status))
+  );
+}
+
+// Maps shift id to the assignments already on it (several when headcount > 1),
+// each pinned per isPinnedAssignment() without regard to the shift.
 function normalizeAssignments(records = []) {
   const map = new Map();
+  const add = (shiftId, employeeField, pinned) => {
+    const employeeIds = (Array.isArray(employeeField) ? employeeField : [employeeField]).filter(Boolean);
+    if (!shiftId || employeeIds.length === 0) return;
+    if (!map.has(shiftId)) map.set(shiftId, []);
+    const entries = map.get(shiftId);
+    employeeIds.forEach((employeeId) => {
+      const entry = entries.find((candidate) => candidate.employeeId === employeeId);
+      if (entry) entry.pinned = entry.pinned || pinned;
+      else entries.push({ employeeId, pinned });
+    });
+  };
+
   if (Array.isArray(records)) {
     records.forEach((record) => {
       const shiftId = readField(record, ["shift_id", "shiftId", "id"]);
       const employeeId = readField(record, ["employee_id", "employeeId", "assigned_employee"]);
-      if (shiftId && employeeId) map.set(shiftId, employeeId);
+      add(shiftId, employeeId, isPinnedAssignment(record));
     });
     return map;
   }
   if (records && typeof records === "object") {
-    Object.entries(records).forEach(([shiftId, employeeId]) => {
-      if (shiftId && employeeId) map.set(shiftId, employeeId);
-    });
+    Object.entries(records).forEach(([shiftId, employeeId]) => add(shiftId, employeeId, false));
   }
   return map;
 }
 
+// Assignments from earlier schedule runs, one entry per employee per shift.
+function normalizeHistory(records = []) {
+  const entries = [];
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    const employeeField = readField(record, ["employee_id", "employeeId", "assigned_employee"]);
+    const employeeIds = (Array.isArray(employeeField) ? employeeField : [employeeField]).filter(Boolean);
+    const dateValue = readField(record, ["date", "Date"]);
+    const range = normalizeRange(
+      combineDateTime(dateValue, readField(record, ["start_time", "start", "Start"])),
+      combineDateTime(dateValue, readField(record, ["end_time", "end", "End"]))
+    );
+    if (!range.start || employeeIds.length === 0) return;
+
+    const shiftId = readField(record, ["shift_id", "shiftId"]) || null;
+    employeeIds.forEach((employeeId) => {
+      entries.push({ shiftId, employeeId, start: range.start, end: range.end });
+    });
+  });
+  return entries;
+}
+
+// Existing assignments may also arrive as a { shiftId: employeeId } map.
+function assignmentList(existing) {
+  if (Array.isArray(existing)) return existing;
+  if (!existing || typeof existing !== "object") return [];
+  return Object.entries(existing).map(([shiftId, employeeId]) => ({
+    shift_id: shiftId,
+    employee_id: employeeId,
+  }));
+}
+
 function buildDateFilter(fieldName, range = {}) {
   const clauses = [];
   if (range.start) {
-    const start = toDate(range.start);
-    if (start) {
-      const iso = start.toISOString().slice(0, 10);
+    const iso = toDateKey(range.start);
+    if (iso) {
       clauses.push(`IS_AFTER({${fieldName}}, DATEADD('${iso}', -1, 'day'))`);
     }
   }
   if (range.end) {
-    const end = toDate(range.end);
-    if (end) {
-      const iso = end.toISOString().slice(0, 10);
+    const iso = toDateKey(range.end);
+    if (iso) {
       clauses.push(`IS_BEFORE({${fieldName}}, DATEADD('${iso}', 1, 'day'))`);
     }
   }
@@ -173,10 +360,15 @@ function buildDateFilter(fieldName, range = {}) {
 
 module.exports = {
   DEFAULT_WEEKLY_CAP,
+  readField,
   normalizeEmployees,
   normalizeAvailability,
+  shiftDateRange,
   normalizeShiftRecords,
+  normalizeHistory,
   normalizeAssignments,
-  roleMatches,
+  assignmentList,
+  isLockedStatus,
+  isPinnedAssignment,
   buildDateFilter,
 };
@@ -0,0 +1,76 @@
+"use strict";
+
+const { normalizeRange } = require("./time");
+
+function toSpans(intervals = []) {
+  return intervals
+    .map((interval) => normalizeRange(interval.start, interval.end))
+    .filter((range) => range.start && range.end)
+    .map((range) => ({ start: range.start.getTime(), end: range.end.getTime() }));
+}
+
+function toDates(spans) {
+  return spans.map((span) => ({ start: new Date(span.start), end: new Date(span.end) }));
+}
+
+// Union of intervals; touching intervals (07:00–12:00, 12:00–19:00) join into one.
+function mergeIntervals(intervals = []) {
+  const spans = toSpans(intervals).sort((a, b) => a.start - b.start);
+  const merged = [];
+  spans.forEach((span) => {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  });
+  return toDates(merged);
+}
+
+// Parts of `intervals` not covered by any of `removals`.
+function subtractIntervals(intervals = [], removals = []) {
+  const cuts = toSpans(mergeIntervals(removals));
+  const remaining = [];
+
+  toSpans(mergeIntervals(intervals)).forEach((span) => {
+    let cursor = span.start;
+    cuts.forEach((cut) => {
+      if (cut.end <= cursor || cut.start >= span.end) return;
+      if (cut.start > cursor) remaining.push({ start: cursor, end: cut.start });
+      cursor = Math.max(cursor, cut.end);
+    });
+    if (cursor < span.end) remaining.push({ start: cursor, end: span.end });
+  });
+
+  return toDates(remaining);
+}
+
+function coversRange(intervals = [], start, end) {
+  const range = normalizeRange(start, end);
+  if (!range.start || !range.end) return false;
+  const from = range.start.getTime();
+  const to = range.end.getTime();
+  return toSpans(intervals).some((span) => span.start <= from && span.end >= to);
+}
+
+// Windows come from normalizeAvailability(): merged available windows plus
+// merged preferred windows, both with unavailable time already removed.
+function coverageForShift(windows = [], shiftStart, shiftEnd) {
+  if (!shiftStart || !shiftEnd) return { available: false, preferred: false };
+  return {
+    available: coversRange(windows, shiftStart, shiftEnd),
+    preferred: coversRange(
+      windows.filter((window) => window.preferred),
+      shiftStart,
+      shiftEnd
+    ),
+  };
+}
+
+module.exports = {
+  mergeIntervals,
+  subtractIntervals,
+  coversRange,
+  coverageForShift,
+};
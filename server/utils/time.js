@@ -1,8 +1,68 @@
 "use strict";
 
+const { FACILITY_TIME_ZONE } = require("../config");
+
 const MS_IN_HOUR = 60 * 60 * 1000;
 const MS_IN_DAY = 24 * MS_IN_HOUR;
 
+// "2024-03-10", "2024-03-10T19:00" or "2024-03-10 19:00:00": no offset, so a
+// wall-clock time in the facility zone.
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: FACILITY_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+const partsCache = new Map();
+
+// Wall-clock fields of an instant in the facility time zone.
+function zonedParts(date) {
+  const time = date.getTime();
+  const cached = partsCache.get(time);
+  if (cached) return cached;
+
+  const fields = {};
+  partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== "literal") fields[type] = Number.parseInt(value, 10);
+  });
+  const parts = {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hour: fields.hour % 24,
+    minute: fields.minute,
+    second: fields.second,
+  };
+  if (partsCache.size >= 10000) partsCache.clear();
+  partsCache.set(time, parts);
+  return parts;
+}
+
+// Facility UTC offset in ms at an instant.
+function zoneOffset(time) {
+  const parts = zonedParts(new Date(time));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+// Instant for a wall-clock time in the facility zone. Fields may overflow
+// (day 32 rolls into the next month). A time repeated when clocks fall back
+// resolves to its first occurrence; one skipped when they spring forward is
+// read with the old offset, landing just after the change (02:30 -> 03:30).
+function zonedTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const before = wall - zoneOffset(wall - MS_IN_DAY);
+  const after = wall - zoneOffset(wall + MS_IN_DAY);
+  const valid = [before, after].filter((time) => time + zoneOffset(time) === wall);
+  return new Date(valid.length > 0 ? Math.min(...valid) : before);
+}
+
 function toDate(value) {
   if (!value) {
     return null;
@@ -10,33 +70,49 @@ function toDate(value) {
   if (value instanceof Date) {
     return Number.isNaN(value.getTime()) ? null : value;
   }
+  const wallClock = typeof value === "string" ? WALL_CLOCK.exec(value.trim()) : null;
+  if (wallClock) {
+    const [, year, month, day, hours = "0", minutes = "0", seconds = "0"] = wallClock;
+    const date = zonedTime(
+      Number(year),
+      Number(month),
+      Number(day),
+      Number(hours),
+      Number(minutes),
+      Number(seconds)
+    );
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
   const date = new Date(value);
   return Number.isNaN(date.getTime()) ? null : date;
 }
 
+// A calendar date plus a time of day ("07:00"), read in the facility zone.
+// Full timestamps in `timeValue` win over the date.
 function combineDateTime(dateValue, timeValue) {
   if (!dateValue && !timeValue) {
     return null;
   }
 
-  if (timeValue && typeof timeValue === "string" && timeValue.includes("T")) {
+  if (timeValue instanceof Date || (typeof timeValue === "string" && timeValue.includes("T"))) {
     return toDate(timeValue);
   }
 
-  const baseDate = toDate(dateValue);
-  if (!baseDate) {
+  const key = toDateKey(dateValue);
+  if (!key) {
     return toDate(timeValue);
   }
 
-  if (!timeValue) {
-    return new Date(baseDate);
-  }
-
+  const { year, month, day } = parseKey(key);
   const timeString = typeof timeValue === "string" ? timeValue : "";
   const [hours = "0", minutes = "0"] = timeString.split(":");
-  const date = new Date(baseDate);
-  date.setHours(Number.parseInt(hours, 10) || 0, Number.parseInt(minutes, 10) || 0, 0, 0);
-  return date;
+  return zonedTime(year, month, day, Number.parseInt(hours, 10) || 0, Number.parseInt(minutes, 10) || 0);
+}
+
+// Same wall-clock time one calendar day later; 23 or 25 hours across a DST change.
+function nextDay(date) {
+  const parts = zonedParts(date);
+  return zonedTime(parts.year, parts.month, parts.day + 1, parts.hour, parts.minute, parts.second);
 }
 
 function normalizeRange(start, end) {
@@ -49,7 +125,7 @@ function normalizeRange(start, end) {
   if (endDate.getTime() <= startDate.getTime()) {
     return {
       start: startDate,
-      end: new Date(endDate.getTime() + MS_IN_DAY),
+      end: nextDay(endDate),
     };
   }
 
@@ -96,11 +172,76 @@ function overlaps(blocks, start, end) {
   });
 }
 
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+// Calendar day in the facility zone as YYYY-MM-DD.
+function dateKey(value) {
+  const date = toDate(value);
+  if (!date) {
+    return null;
+  }
+  const { year, month, day } = zonedParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Date-only strings keep their calendar day; anything else goes through dateKey().
+function toDateKey(value) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value.trim())) {
+    return value.trim().slice(0, 10);
+  }
+  return dateKey(value);
+}
+
+function parseKey(key) {
+  const [year, month, day] = String(key).split("-").map((part) => Number.parseInt(part, 10));
+  return { year, month, day };
+}
+
+function addDays(key, days) {
+  const { year, month, day } = parseKey(key);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Day of week of a YYYY-MM-DD key; 0 = Sunday.
+function weekdayOfKey(key) {
+  const { year, month, day } = parseKey(key);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// First day (YYYY-MM-DD) of the week containing `value`; weekStartDay 0 = Sunday, 1 = Monday.
+function weekStartKey(value, weekStartDay = 1) {
+  const key = toDateKey(value);
+  if (!key) {
+    return null;
+  }
+  const offset = (weekdayOfKey(key) - weekStartDay + 7) % 7;
+  return addDays(key, -offset);
+}
+
+function daysBetweenKeys(fromKey, toKey) {
+  const from = parseKey(fromKey);
+  const to = parseKey(toKey);
+  const diff = Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day);
+  return Math.round(diff / MS_IN_DAY);
+}
+
 module.exports = {
   toDate,
   combineDateTime,
   normalizeRange,
   hoursBetween,
   overlaps,
+  zonedParts,
+  zonedTime,
+  dateKey,
+  toDateKey,
+  addDays,
+  weekdayOfKey,
+  weekStartKey,
+  daysBetweenKeys,
+  MS_IN_HOUR,
   MS_IN_DAY,
 };
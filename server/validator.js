@@ -3,23 +3,71 @@
 const {
   normalizeEmployees,
   normalizeAvailability,
+  shiftDateRange,
   normalizeShiftRecords,
-  roleMatches,
+  isPinnedAssignment,
 } = require("./utils/data");
 const { overlaps } = require("./utils/time");
+const { coverageForShift } = require("./utils/intervals");
+const {
+  normalizeWorkRules,
+  findWorkRuleViolations,
+  hourBuckets,
+  firstShiftStart,
+} = require("./workRules");
+const { resolveRoleModel, matchRole } = require("./roles");
+const { checkCertifications } = require("./certifications");
+const { findClassConflict } = require("./schoolHours");
+const { normalizeTimeOff, findTimeOff } = require("./timeOff");
+
+function describeWorkRuleViolation(name, violation, rules) {
+  const shiftIds = violation.blocks.map((block) => block.shiftId);
+  switch (violation.type) {
+    case "min_rest":
+      return `${name} has only ${violation.rest.toFixed(2)}h rest between shifts ${shiftIds.join(" and ")} (minimum ${rules.minRestHours}h).`;
+    case "consecutive_days":
+      return `${name} works ${violation.length} consecutive days from ${violation.start} to ${violation.end} (maximum ${rules.maxConsecutiveDays}).`;
+    default:
+      return `${name} works ${violation.length} consecutive nights from ${violation.start} to ${violation.end} (maximum ${rules.maxConsecutiveNights}).`;
+  }
+}
 
-function validate(assignments = [], shifts = [], employees = [], availability = []) {
+function validate(assignments = [], shifts = [], employees = [], availability = [], options = {}) {
   const errors = [];
-  const employeeMap = normalizeEmployees(employees);
-  const availabilityMap = normalizeAvailability(availability);
+  const normalizedShifts = normalizeShiftRecords(shifts, options.fieldMap);
+  const rules = normalizeWorkRules(options.rules, {
+    periodStart: options.startDate || firstShiftStart(normalizedShifts),
+  });
+  const roleModel = resolveRoleModel(options.roleModel);
+  const employeeMap = normalizeEmployees(employees, options.fieldMap);
+  const timeOffMap = normalizeTimeOff(options.timeOff);
+  const availabilityMap = normalizeAvailability(
+    availability,
+    shiftDateRange(normalizedShifts),
+    options.fieldMap
+  );
   const shiftMap = new Map();
 
-  normalizeShiftRecords(shifts).forEach((shift) => {
+  normalizedShifts.forEach((shift) => {
     shiftMap.set(shift.id, shift);
   });
 
-  const hoursByEmployee = new Map();
+  // employeeId -> week/pay-period start -> { hours, pinned }, where `pinned`
+  // says every assignment counted there is pinned.
+  const hoursByWeek = new Map();
+  const hoursByPayPeriod = new Map();
+  const addHours = (buckets, employeeId, bucket, hours, pinned) => {
+    if (!buckets.has(employeeId)) buckets.set(employeeId, new Map());
+    const employeeBuckets = buckets.get(employeeId);
+    const total = employeeBuckets.get(bucket) || { hours: 0, pinned: true };
+    employeeBuckets.set(bucket, { hours: total.hours + hours, pinned: total.pinned && pinned });
+  };
   const blocksByEmployee = new Map();
+  const staffByShift = new Map();
+  // A finding that only involves pinned assignments is kept as a warning.
+  const report = (error, pinned) => {
+    errors.push(pinned ? { ...error, severity: "warning", pinned: true } : error);
+  };
 
   assignments.forEach((assignment) => {
     const shiftId = assignment.shiftId || assignment.shift_id;
@@ -49,6 +97,11 @@ function validate(assignments = [], shifts = [], employees = [], availability =
       return;
     }
 
+    // Pinned assignments are kept as-is, so their per-assignment findings are warnings.
+    // Findings across several assignments are warnings when all of them are pinned.
+    const firstError = errors.length;
+    const pinned = isPinnedAssignment(assignment, shift);
+
     if (employee.status !== "active") {
       errors.push({
         type: "inactive_employee",
@@ -58,8 +111,8 @@ function validate(assignments = [], shifts = [], employees = [], availability =
       });
     }
 
-    // Role validation: accept CNA_OR_CMA and normalized roles
-    if (!roleMatches(employee.role, shift.roleNeeded)) {
+    // Role validation against the shared role model
+    if (!matchRole(roleModel, employee.role, shift.roleNeeded).allowed) {
       errors.push({
         type: "role_mismatch",
         shiftId,
@@ -68,18 +121,63 @@ function validate(assignments = [], shifts = [], employees = [], availability =
       });
     }
 
-    // Availability coverage (full coverage of shift window)
-    const windows = availabilityMap.get(employeeId) || [];
-    const hasCoverage = windows.some((window) => {
-      if (!window.start || !window.end || !shift.start || !shift.end) return false;
-      const start = window.start.getTime();
-      const end = window.end.getTime();
-      const s0 = shift.start.getTime();
-      let s1 = shift.end.getTime();
-      if (s1 <= s0) s1 += 24 * 60 * 60 * 1000; // overnight shift
-      return start <= s0 && end >= s1;
+    // Required skills, current on the shift date
+    const certifications = checkCertifications(employee, shift);
+    certifications.missing.forEach((skill) => {
+      errors.push({
+        type: "missing_certification",
+        shiftId,
+        employeeId,
+        message: `${employee.name || employeeId} lacks required certification ${skill} for shift ${shiftId}.`,
+      });
+    });
+    certifications.expired.forEach(({ skill, expires }) => {
+      errors.push({
+        type: "expired_certification",
+        shiftId,
+        employeeId,
+        message: `${employee.name || employeeId}'s ${skill} certification expired on ${expires}, before shift ${shiftId}.`,
+      });
     });
 
+    // Class blocks from school_notes are hard unavailability
+    const classConflict = findClassConflict(employee.classBlocks, shift.start, shift.end);
+    if (classConflict) {
+      errors.push({
+        type: "class_conflict",
+        shiftId,
+        employeeId,
+        classBlock: classConflict.label,
+        message: `${employee.name || employeeId} has class ${classConflict.label} on ${classConflict.date}, which conflicts with shift ${shiftId}.`,
+      });
+    }
+
+    // Approved time off is hard unavailability; pending requests are only flagged
+    const timeOff = timeOffMap.get(employeeId);
+    const approvedTimeOff = findTimeOff(timeOff, shift.start, shift.end, "approved");
+    if (approvedTimeOff) {
+      errors.push({
+        type: "time_off",
+        shiftId,
+        employeeId,
+        message: `${employee.name || employeeId} has approved ${approvedTimeOff.label}, which conflicts with shift ${shiftId}.`,
+      });
+    }
+    const pendingTimeOff = findTimeOff(timeOff, shift.start, shift.end, "requested");
+    if (pendingTimeOff) {
+      errors.push({
+        type: "pending_time_off",
+        severity: "warning",
+        shiftId,
+        employeeId,
+        message: `${employee.name || employeeId} has requested ${pendingTimeOff.label} (pending approval) during shift ${shiftId}.`,
+      });
+    }
+
+    // Availability coverage (merged windows must span the whole shift)
+    const windows = availabilityMap.get(employeeId) || [];
+    const hasCoverage = coverageForShift(windows, shift.start, shift.end).available;
+
     if (!hasCoverage) {
       errors.push({
         type: "availability",
@@ -89,22 +187,75 @@ function validate(assignments = [], shifts = [], employees = [], availability =
       });
     }
 
+    if (pinned) {
+      errors.slice(firstError).forEach((error) => {
+        error.severity = "warning";
+        error.pinned = true;
+      });
+    }
+
+    const staff = staffByShift.get(shiftId) || { count: 0, pinned: true };
+    staffByShift.set(shiftId, { count: staff.count + 1, pinned: staff.pinned && pinned });
+
     const hours = shift.hours || 0;
-    hoursByEmployee.set(employeeId, (hoursByEmployee.get(employeeId) || 0) + hours);
+    const buckets = hourBuckets(shift.start, rules);
+    addHours(hoursByWeek, employeeId, buckets.week, hours, pinned);
+    addHours(hoursByPayPeriod, employeeId, buckets.payPeriod, hours, pinned);
 
     if (!blocksByEmployee.has(employeeId)) blocksByEmployee.set(employeeId, []);
-    blocksByEmployee.get(employeeId).push({ start: shift.start, end: shift.end, shiftId });
+    blocksByEmployee.get(employeeId).push({ start: shift.start, end: shift.end, shiftId, pinned });
   });
 
-  // Weekly cap
-  for (const [employeeId, hours] of hoursByEmployee.entries()) {
+  // Headcount
+  for (const [shiftId, staffed] of staffByShift.entries()) {
+    const shift = shiftMap.get(shiftId);
+    if (staffed.count > shift.headcount) {
+      report(
+        {
+          type: "headcount",
+          shiftId,
+          message: `Shift ${shiftId} has ${staffed.count} employees assigned but only needs ${shift.headcount}.`,
+        },
+        staffed.pinned
+      );
+    }
+  }
+
+  // Weekly cap, per week
+  for (const [employeeId, weeks] of hoursByWeek.entries()) {
     const employee = employeeMap.get(employeeId);
-    if (employee && hours > employee.weeklyCap) {
-      errors.push({
-        type: "weekly_cap",
-        employeeId,
-        message: `${employee.name || employeeId} exceeds weekly cap (${hours.toFixed(2)} > ${employee.weeklyCap}).`,
-      });
+    for (const [week, { hours, pinned }] of weeks.entries()) {
+      if (employee && hours > employee.weeklyCap) {
+        report(
+          {
+            type: "weekly_cap",
+            employeeId,
+            week,
+            message: `${employee.name || employeeId} exceeds weekly cap in week of ${week} (${hours.toFixed(2)} > ${employee.weeklyCap}).`,
+          },
+          pinned
+        );
+      }
+    }
+  }
+
+  // Pay-period cap
+  for (const [employeeId, periods] of hoursByPayPeriod.entries()) {
+    const employee = employeeMap.get(employeeId);
+    const cap = employee && (employee.payPeriodCap || rules.payPeriodCap);
+    if (!cap) continue;
+    for (const [payPeriod, { hours, pinned }] of periods.entries()) {
+      if (hours > cap) {
+        report(
+          {
+            type: "pay_period_cap",
+            employeeId,
+            payPeriod,
+            message: `${employee.name || employeeId} exceeds pay-period cap for the period starting ${payPeriod} (${hours.toFixed(2)} > ${cap}).`,
+          },
+          pinned
+        );
+      }
     }
   }
 
@@ -114,17 +265,37 @@ function validate(assignments = [], shifts = [], employees = [], availability =
     for (let i = 0; i < blocks.length; i += 1) {
       for (let j = i + 1; j < blocks.length; j += 1) {
         if (overlaps([blocks[i]], blocks[j].start, blocks[j].end)) {
-          errors.push({
-            type: "overlap",
-            employeeId,
-            shiftId: `${blocks[i].shiftId},${blocks[j].shiftId}`,
-            message: `${employee ? employee.name : employeeId} has overlapping shifts ${blocks[i].shiftId} and ${blocks[j].shiftId}.`,
-          });
+          report(
+            {
+              type: "overlap",
+              employeeId,
+              shiftId: `${blocks[i].shiftId},${blocks[j].shiftId}`,
+              message: `${employee ? employee.name : employeeId} has overlapping shifts ${blocks[i].shiftId} and ${blocks[j].shiftId}.`,
+            },
+            blocks[i].pinned && blocks[j].pinned
+          );
         }
       }
     }
   }
 
+  // Rest periods and consecutive days/nights
+  for (const [employeeId, blocks] of blocksByEmployee.entries()) {
+    const employee = employeeMap.get(employeeId);
+    const name = employee ? employee.name || employeeId : employeeId;
+    findWorkRuleViolations(blocks, rules).forEach((violation) => {
+      report(
+        {
+          type: violation.type,
+          employeeId,
+          shiftId: violation.blocks.map((block) => block.shiftId).join(","),
+          message: describeWorkRuleViolation(name, violation, rules),
+        },
+        violation.blocks.every((block) => block.pinned)
+      );
+    });
+  }
+
   return errors;
 }
 
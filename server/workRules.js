@@ -0,0 +1,224 @@
+"use strict";
+
+const {
+  MIN_REST_HOURS,
+  MAX_CONSECUTIVE_DAYS,
+  MAX_CONSECUTIVE_NIGHTS,
+  WEEK_START_DAY,
+  PAY_PERIOD_CAP,
+  PAY_PERIOD_DAYS,
+  PAY_PERIOD_START,
+} = require("./config");
+const {
+  addDays,
+  dateKey,
+  daysBetweenKeys,
+  toDateKey,
+  weekStartKey,
+  zonedParts,
+  MS_IN_HOUR,
+} = require("./utils/time");
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Shifts starting at or after this hour, or running past midnight, count as nights.
+const NIGHT_START_HOUR = 19;
+
+function readLimit(source, keys, fallback) {
+  for (const key of keys) {
+    if (source && source[key] !== undefined && source[key] !== null && source[key] !== "") {
+      const value = Number.parseFloat(source[key]);
+      if (Number.isFinite(value) && value >= 0) return value;
+    }
+  }
+  return fallback;
+}
+
+function readWeekStart(source, fallback) {
+  const value = source && (source.week_start !== undefined ? source.week_start : source.weekStart);
+  if (value === undefined || value === null || value === "") return fallback;
+  const named = WEEKDAYS.indexOf(String(value).trim().toLowerCase());
+  if (named !== -1) return named;
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) ? ((number % 7) + 7) % 7 : fallback;
+}
+
+// Without an explicit pay_period_start, pay periods begin on the week containing
+// `defaults.periodStart` (the request start_date or the first shift).
+function normalizeWorkRules(input = {}, defaults = {}) {
+  const source = input || {};
+  const weekStartDay = readWeekStart(source, WEEK_START_DAY);
+  const explicitStart = source.pay_period_start || source.payPeriodStart || PAY_PERIOD_START;
+  return {
+    weekStartDay,
+    payPeriodCap: readLimit(source, ["pay_period_cap", "payPeriodCap"], PAY_PERIOD_CAP),
+    payPeriodDays: Math.max(
+      1,
+      readLimit(source, ["pay_period_days", "payPeriodDays"], PAY_PERIOD_DAYS)
+    ),
+    payPeriodStart: explicitStart
+      ? toDateKey(explicitStart)
+      : weekStartKey(defaults.periodStart, weekStartDay),
+    minRestHours: readLimit(source, ["min_rest_hours", "minRestHours"], MIN_REST_HOURS),
+    maxConsecutiveDays: readLimit(
+      source,
+      ["max_consecutive_days", "maxConsecutiveDays"],
+      MAX_CONSECUTIVE_DAYS
+    ),
+    maxConsecutiveNights: readLimit(
+      source,
+      ["max_consecutive_nights", "maxConsecutiveNights"],
+      MAX_CONSECUTIVE_NIGHTS
+    ),
+  };
+}
+
+// Week and pay-period buckets (first day, YYYY-MM-DD) that a shift's hours count toward.
+function hourBuckets(start, rules) {
+  if (!start) return { week: null, payPeriod: null };
+  const week = weekStartKey(start, rules.weekStartDay);
+  const anchor = rules.payPeriodStart || week;
+  const offset = daysBetweenKeys(anchor, dateKey(start));
+  const periods = Math.floor(offset / rules.payPeriodDays);
+  return { week, payPeriod: addDays(anchor, periods * rules.payPeriodDays) };
+}
+
+function firstShiftStart(shifts = []) {
+  return shifts
+    .map((shift) => shift.start)
+    .filter(Boolean)
+    .sort((a, b) => a.getTime() - b.getTime())[0];
+}
+
+function isNightShift(start, end) {
+  if (!start || !end) return false;
+  if (zonedParts(start).hour >= NIGHT_START_HOUR) return true;
+  return dateKey(start) !== dateKey(new Date(end.getTime() - 1));
+}
+
+// Hours between two non-overlapping blocks, or null when they overlap.
+function restBetween(a, b) {
+  const [first, second] = a.start.getTime() <= b.start.getTime() ? [a, b] : [b, a];
+  const gap = second.start.getTime() - first.end.getTime();
+  return gap < 0 ? null : gap / MS_IN_HOUR;
+}
+
+function findRestConflict(blocks = [], shift, minRestHours) {
+  if (!minRestHours || !shift.start || !shift.end) return null;
+  return (
+    blocks.find((block) => {
+      if (!block.start || !block.end) return false;
+      const rest = restBetween(block, shift);
+      return rest !== null && rest < minRestHours;
+    }) || null
+  );
+}
+
+function runContaining(keys, pivot) {
+  let length = 1;
+  for (let key = addDays(pivot, -1); keys.has(key); key = addDays(key, -1)) length += 1;
+  for (let key = addDays(pivot, 1); keys.has(key); key = addDays(key, 1)) length += 1;
+  return length;
+}
+
+// Length of the consecutive working-day (or night) run the shift would extend.
+function consecutiveRunWith(blocks = [], shift, nightsOnly = false) {
+  const keys = new Set(
+    blocks
+      .filter((block) => block.start && (!nightsOnly || isNightShift(block.start, block.end)))
+      .map((block) => dateKey(block.start))
+  );
+  return runContaining(keys, dateKey(shift.start));
+}
+
+// First work rule the shift would break for an employee already holding `blocks`.
+function checkWorkRules(blocks = [], shift, rules) {
+  const restConflict = findRestConflict(blocks, shift, rules.minRestHours);
+  if (restConflict) {
+    return { stage: "min_rest", block: restConflict, rest: restBetween(restConflict, shift) };
+  }
+
+  if (rules.maxConsecutiveDays) {
+    const length = consecutiveRunWith(blocks, shift);
+    if (length > rules.maxConsecutiveDays) return { stage: "consecutive_days", length };
+  }
+
+  if (rules.maxConsecutiveNights && isNightShift(shift.start, shift.end)) {
+    const length = consecutiveRunWith(blocks, shift, true);
+    if (length > rules.maxConsecutiveNights) return { stage: "consecutive_nights", length };
+  }
+
+  return null;
+}
+
+function findRuns(keys) {
+  const sorted = Array.from(keys).sort();
+  const runs = [];
+  sorted.forEach((key) => {
+    const current = runs[runs.length - 1];
+    if (current && addDays(current.end, 1) === key) {
+      current.end = key;
+      current.length += 1;
+    } else {
+      runs.push({ start: key, end: key, length: 1 });
+    }
+  });
+  return runs;
+}
+
+// Every work-rule violation within one employee's full set of blocks.
+function findWorkRuleViolations(blocks = [], rules) {
+  const violations = [];
+  const timed = blocks
+    .filter((block) => block.start && block.end)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  if (rules.minRestHours) {
+    for (let i = 0; i < timed.length; i += 1) {
+      for (let j = i + 1; j < timed.length; j += 1) {
+        const rest = restBetween(timed[i], timed[j]);
+        if (rest !== null && rest < rules.minRestHours) {
+          violations.push({ type: "min_rest", blocks: [timed[i], timed[j]], rest });
+        }
+      }
+    }
+  }
+
+  const checkRuns = (type, limit, subset) => {
+    if (!limit) return;
+    const byDay = new Map();
+    subset.forEach((block) => {
+      const key = dateKey(block.start);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(block);
+    });
+    findRuns(byDay.keys())
+      .filter((run) => run.length > limit)
+      .forEach((run) => {
+        const runBlocks = subset.filter((block) => {
+          const key = dateKey(block.start);
+          return key >= run.start && key <= run.end;
+        });
+        violations.push({ type, blocks: runBlocks, length: run.length, start: run.start, end: run.end });
+      });
+  };
+
+  checkRuns("consecutive_days", rules.maxConsecutiveDays, timed);
+  checkRuns(
+    "consecutive_nights",
+    rules.maxConsecutiveNights,
+    timed.filter((block) => isNightShift(block.start, block.end))
+  );
+
+  return violations;
+}
+
+module.exports = {
+  NIGHT_START_HOUR,
+  normalizeWorkRules,
+  hourBuckets,
+  firstShiftStart,
+  isNightShift,
+  checkWorkRules,
+  findWorkRuleViolations,
+};
@@ -90,6 +90,24 @@ function createZodStub() {
     });
   }
 
+  function boolean() {
+    return makeSchema((value, path, issues) => {
+      if (typeof value !== "boolean") {
+        issues.push({ path, message: "Expected boolean" });
+      }
+      return value;
+    });
+  }
+
+  function number() {
+    return makeSchema((value, path, issues) => {
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        issues.push({ path, message: "Expected number" });
+      }
+      return value;
+    });
+  }
+
   function zNull() {
     return makeSchema((value, path, issues) => {
       if (value !== null) {
@@ -200,6 +218,8 @@ function createZodStub() {
   return {
     z: {
       string,
+      boolean,
+      number,
       date,
       null: zNull,
       union,
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AirtableClient,
+  AirtableAuthError,
+  AirtableRateLimitError,
+  AirtableServerError,
+  AirtableTimeoutError,
+} = require("../server/airtableClient");
+
+const recordingClient = (respond) => {
+  const client = new AirtableClient({ apiKey: "key", baseId: "base" });
+  client.calls = [];
+  client.request = async (path, options = {}) => {
+    client.calls.push({ path, method: options.method, body: options.body });
+    return respond(path, options);
+  };
+  return client;
+};
+
+test("upsertAssignments clears shifts the schedule left unfilled", async () => {
+  const client = recordingClient((_path, options) => ({ records: options.body.records }));
+
+  await client.upsertAssignments([
+    { shiftId: "rec1", employeeId: "recAnn" },
+    { shiftId: "rec1", employeeId: "recBob" },
+    { shiftId: "rec2", employeeId: null },
+  ]);
+
+  assert.deepEqual(client.calls[0].body.records, [
+    { id: "rec1", fields: { assigned_employee: ["recAnn", "recBob"] } },
+    { id: "rec2", fields: { assigned_employee: [] } },
+  ]);
+});
+
+test("createShiftRecords posts ten records per batch and returns the new ids", async () => {
+  let next = 0;
+  const client = recordingClient((_path, options) => ({
+    records: options.body.records.map((record) => ({ id: `recNew${(next += 1)}`, fields: record.fields })),
+  }));
+  const rows = Array.from({ length: 11 }, (_, index) => ({ fields: { shift_id: `day_${index}` } }));
+
+  const report = await client.createShiftRecords(rows);
+  assert.deepEqual(
+    client.calls.map(({ method, body }) => [method, body.records.length, body.typecast]),
+    [
+      ["POST", 10, true],
+      ["POST", 1, true],
+    ]
+  );
+  assert.deepEqual(report[10], { id: "recNew11", ok: true });
+});
+
+test("deleteShiftRecords sends record ids as query parameters", async () => {
+  const client = recordingClient((path) => {
+    const ids = new URLSearchParams(path.split("?")[1]).getAll("records[]");
+    return { records: ids.filter((id) => id !== "rec2").map((id) => ({ id, deleted: true })) };
+  });
+
+  const report = await client.deleteShiftRecords(
+    Array.from({ length: 11 }, (_, index) => `rec${index + 1}`)
+  );
+  assert.equal(client.calls[0].method, "DELETE");
+  assert.match(client.calls[0].path, /^\/Shifts\?records\[\]=rec1&records\[\]=rec2&/);
+  assert.deepEqual(report[0], { id: "rec1", ok: true });
+  assert.deepEqual(report[1], { id: "rec2", ok: false, error: "Record was not deleted." });
+  assert.deepEqual(report[10], { id: "rec11", ok: true });
+});
+
+// Serves `responses` in order through a stubbed fetch for the duration of `run`.
+async function withFetch(responses, run) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, method: init.method });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return typeof next === "function" ? next(init) : next();
+  };
+  try {
+    await run(calls);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+const reply = (status, body, headers = {}) => () =>
+  new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers });
+const fastClient = (options = {}) =>
+  new AirtableClient({ apiKey: "key", baseId: "base", retryBaseMs: 1, ...options });
+
+test("request retries 429s after Retry-After and returns the eventual response", async () => {
+  await withFetch(
+    [
+      reply(429, { errors: [{ error: "RATE_LIMIT_REACHED" }] }, { "Retry-After": "0" }),
+      reply(200, { records: [{ id: "rec1" }] }),
+    ],
+    async (calls) => {
+      const data = await fastClient().request("/Shifts");
+      assert.equal(calls.length, 2);
+      assert.deepEqual(data, { records: [{ id: "rec1" }] });
+    }
+  );
+});
+
+test("request gives up with a typed error once retries run out", async () => {
+  await withFetch([reply(429, "slow down", { "Retry-After": "0" })], async (calls) => {
+    await assert.rejects(fastClient({ maxRetries: 2 }).request("/Shifts"), (error) => {
+      assert.ok(error instanceof AirtableRateLimitError);
+      assert.equal(error.status, 429);
+      return true;
+    });
+    assert.equal(calls.length, 3);
+  });
+});
+
+test("request does not retry auth errors or failed POSTs", async () => {
+  await withFetch([reply(401, { error: { type: "AUTHENTICATION_REQUIRED" } })], async (calls) => {
+    await assert.rejects(fastClient().request("/Shifts"), (error) => {
+      assert.ok(error instanceof AirtableAuthError);
+      assert.equal(error.type, "AUTHENTICATION_REQUIRED");
+      return true;
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  await withFetch([reply(503, "unavailable")], async (calls) => {
+    await assert.rejects(
+      fastClient().request("/Shifts", { method: "POST", body: { records: [] } }),
+      AirtableServerError
+    );
+    assert.equal(calls.length, 1);
+  });
+});
+
+test("request aborts after timeoutMs", async () => {
+  const hang = (init) =>
+    new Promise((_resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+  await withFetch([hang], async (calls) => {
+    await assert.rejects(fastClient({ timeoutMs: 20, maxRetries: 1 }).request("/Shifts"), AirtableTimeoutError);
+    assert.equal(calls.length, 2);
+  });
+});
+
+test("request times out on a response body that stalls", async () => {
+  const stalled = (init) => {
+    const body = new ReadableStream({
+      start(controller) {
+        init.signal.addEventListener("abort", () => controller.error(new Error("aborted")));
+      },
+    });
+    return new Response(body, { status: 200 });
+  };
+  await withFetch([stalled], async (calls) => {
+    await assert.rejects(fastClient({ timeoutMs: 20, maxRetries: 1 }).request("/Shifts"), AirtableTimeoutError);
+    assert.equal(calls.length, 2);
+  });
+});
+
+test("request fails instead of waiting out a Retry-After past maxRetryAfterMs", async () => {
+  await withFetch([reply(429, "slow down", { "Retry-After": "3600" })], async (calls) => {
+    const started = Date.now();
+    await assert.rejects(fastClient({ maxRetryAfterMs: 1000 }).request("/Shifts"), AirtableRateLimitError);
+    assert.equal(calls.length, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+test("throttle holds requests past requestsPerSecond in the last second", async () => {
+  const client = fastClient({ requestsPerSecond: 2 });
+  client.sentAt = [Date.now() - 900, Date.now() - 850];
+  const started = Date.now();
+  await client.throttle();
+  assert.ok(Date.now() - started >= 80);
+});
+
+test("listShifts sends the sort as indexed query parameters", async () => {
+  await withFetch([reply(200, { records: [{ id: "rec1" }] })], async (calls) => {
+    const records = await fastClient().listShifts();
+    assert.deepEqual(records, [{ id: "rec1" }]);
+    const url = new URL(calls[0].url);
+    assert.equal(url.searchParams.get("sort[0][field]"), "date");
+    assert.equal(url.searchParams.get("sort[0][direction]"), "asc");
+    assert.equal(url.searchParams.has("sort"), false);
+    assert.doesNotMatch(calls[0].url, /object/);
+  });
+});
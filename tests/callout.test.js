@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { replaceCallout } = require("../server/callout");
+const { shift, person, available } = require("./fixtures");
+
+test("ranks direct replacements that pass validation", () => {
+  const shifts = [shift("mon", "2024-05-06", 7, 15)];
+  const result = replaceCallout({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob"), person("cat")],
+    availability: [available("bob", "2024-05-06"), available("cat", "2024-05-06")],
+    assignments: [{ shift_id: "mon", employee_id: "ann" }],
+    shiftId: "mon",
+    employeeId: "ann",
+  });
+
+  assert.deepEqual(result.candidates.map((candidate) => candidate.employeeId), ["bob", "cat"]);
+  assert.deepEqual(result.recommended.changes, [{ action: "assign", shiftId: "mon", employeeId: "bob" }]);
+});
+
+test("falls back to one chained move when nobody is free", () => {
+  const shifts = [shift("am", "2024-05-06", 7, 15), shift("pm", "2024-05-06", 15, 23)];
+  const result = replaceCallout({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob"), person("cat")],
+    availability: [
+      available("bob", "2024-05-06"),
+      { employee_id: "cat", start_time: "2024-05-06T15:00:00", end_time: "2024-05-06T23:00:00", type: "Available" },
+    ],
+    assignments: [
+      { shift_id: "am", employee_id: "ann" },
+      { shift_id: "pm", employee_id: "bob" },
+    ],
+    shiftId: "am",
+    employeeId: "ann",
+  });
+
+  assert.equal(result.candidates.length, 1);
+  assert.deepEqual(result.recommended.changes, [
+    { action: "move", employeeId: "bob", fromShiftId: "pm", toShiftId: "am" },
+    { action: "assign", shiftId: "pm", employeeId: "cat" },
+  ]);
+
+  const pinned = replaceCallout({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob"), person("cat")],
+    availability: [available("bob", "2024-05-06")],
+    assignments: [
+      { shift_id: "am", employee_id: "ann" },
+      { shift_id: "pm", employee_id: "bob", pinned: true },
+    ],
+    shiftId: "am",
+    employeeId: "ann",
+  });
+  assert.equal(pinned.recommended, null);
+  assert.match(pinned.reason, /No replacement/);
+});
+
+test("never moves someone off a Published shift or a locked assignment", () => {
+  // cat is only free in the evening, so only moving bob could cover the morning.
+  const busy = { employee_id: "cat", start_time: "2024-05-06T15:00:00", end_time: "2024-05-06T23:00:00", type: "Available" };
+  const input = (shifts, pmAssignment) => ({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob"), person("cat")],
+    availability: [available("bob", "2024-05-06"), busy],
+    assignments: [{ shift_id: "am", employee_id: "ann" }, pmAssignment],
+    shiftId: "am",
+    employeeId: "ann",
+  });
+  const am = shift("am", "2024-05-06", 7, 15);
+  const pm = shift("pm", "2024-05-06", 15, 23);
+
+  [
+    input([am, { ...pm, status: "Published" }], { shift_id: "pm", employee_id: "bob" }),
+    input([am, pm], { shift_id: "pm", employee_id: "bob", locked: true }),
+    input([am, pm], { shift_id: "pm", employee_id: "bob", status: "Approved" }),
+  ].forEach((payload) => {
+    assert.equal(replaceCallout(payload).recommended, null);
+  });
+});
+
+test("never offers the person calling out as the mover into their own shift", () => {
+  const result = replaceCallout({
+    shiftTemplate: [shift("s1", "2024-05-06", 7, 15), shift("s2", "2024-05-07", 7, 15)],
+    employees: [person("alice"), person("bob")],
+    availability: [
+      available("alice", "2024-05-06"),
+      available("alice", "2024-05-07"),
+      available("bob", "2024-05-07"),
+    ],
+    assignments: [
+      { shift_id: "s1", employee_id: "alice" },
+      { shift_id: "s2", employee_id: "alice" },
+    ],
+    shiftId: "s1",
+    employeeId: "alice",
+  });
+
+  assert.equal(result.recommended, null);
+  assert.deepEqual(result.candidates, []);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFieldMap, missingFields } = require("../server/fieldMap");
+const { normalizeEmployees, normalizeShiftRecords } = require("../server/utils/data");
+const { AirtableClient } = require("../server/airtableClient");
+const { resolveScheduleInputs } = require("../server/scheduleInputs");
+const { schedule } = require("../server/scheduler");
+
+const fieldMap = normalizeFieldMap({
+  employees: { weekly_cap: "Max Hours", role: "Position" },
+  shifts: { date: "Shift Date", assigned_employee: ["Staff"] },
+});
+
+test("normalizers read fields under their mapped names", () => {
+  const employees = normalizeEmployees(
+    [{ id: "recAnn", fields: { Name: "Ann", Position: "cma", "Max Hours": "32" } }],
+    fieldMap
+  );
+  assert.equal(employees.get("recAnn").role, "CMA");
+  assert.equal(employees.get("recAnn").weeklyCap, 32);
+
+  const [shift] = normalizeShiftRecords(
+    [{ id: "recS1", fields: { "Shift Date": "2024-05-06", start_time: "07:00", end_time: "15:00" } }],
+    fieldMap
+  );
+  assert.equal(shift.hours, 8);
+});
+
+test("default names still apply alongside mapped ones", () => {
+  const employees = normalizeEmployees([{ employee_id: "emp1", role: "CNA", weekly_cap: 24 }], fieldMap);
+  assert.equal(employees.get("emp1").weeklyCap, 24);
+});
+
+test("rejects unknown tables and fields", () => {
+  assert.throws(() => normalizeFieldMap({ staff: {} }), (error) => error.statusCode === 400);
+  assert.throws(
+    () => normalizeFieldMap({ employees: { max_hours: "Max Hours" } }),
+    /unknown employees field max_hours/
+  );
+});
+
+test("reports only required and explicitly mapped fields no record carries", () => {
+  const employees = [
+    { id: "recAnn", fields: { employee_id: "A1", Name: "Ann", status: "Active" } },
+    { id: "recBob", fields: { employee_id: "B1", Name: "Bob" } },
+  ];
+  assert.deepEqual(
+    missingFields(fieldMap, "employees", employees).map(({ field }) => field),
+    ["role", "weekly_cap"]
+  );
+  assert.deepEqual(
+    missingFields(normalizeFieldMap(), "employees", employees).map(({ field }) => field),
+    ["role"]
+  );
+  assert.deepEqual(missingFields(fieldMap, "employees", []), []);
+});
+
+test("the Airtable client writes and filters on mapped names", async (t) => {
+  // A local .env may name the shift employee field, which outranks the map.
+  const envField = process.env.AIRTABLE_SHIFT_EMPLOYEE_FIELD;
+  delete process.env.AIRTABLE_SHIFT_EMPLOYEE_FIELD;
+  t.after(() => {
+    if (envField !== undefined) process.env.AIRTABLE_SHIFT_EMPLOYEE_FIELD = envField;
+  });
+  const client = new AirtableClient({
+    apiKey: "key",
+    baseId: "base",
+    fieldMap: { shifts: { date: "Shift Date", assigned_employee: "Staff" } },
+  });
+  const formulas = [];
+  client.request = async (path) => {
+    formulas.push(new URLSearchParams(path.split("?")[1]).get("filterByFormula"));
+    return { records: [] };
+  };
+
+  await client.listShifts({ start: "2024-05-06", end: "2024-05-12" });
+  assert.equal(client.shiftEmployeeField, "Staff");
+  assert.match(formulas[0], /^AND\(IS_AFTER\(\{Shift Date\}/);
+});
+
+test("schedule inputs loaded from Airtable report missing mapped fields", async () => {
+  const client = {
+    apiKey: "key",
+    baseId: "base",
+    fieldMap,
+    listEmployees: async () => [{ id: "recAnn", fields: { Name: "Ann", Position: "CNA" } }],
+  };
+  const { missingFields: missing } = await resolveScheduleInputs(
+    { availability: [], shift_template: [] },
+    { availability: [], shift_template: [] },
+    () => client
+  );
+
+  assert.deepEqual(Object.keys(missing), ["employees"]);
+  assert.ok(missing.employees.some(({ field, names }) => field === "weekly_cap" && names[0] === "Max Hours"));
+});
+
+test("schedule inputs loaded from Airtable are normalized with the client's field map", async () => {
+  const client = {
+    apiKey: "key",
+    baseId: "base",
+    fieldMap,
+    listShifts: async () => [
+      { id: "recS1", fields: { "Shift Date": "2024-05-06", start_time: "07:00", end_time: "15:00" } },
+    ],
+  };
+  const { inputs, fieldMap: loadedMap } = await resolveScheduleInputs(
+    { employees: [], availability: [] },
+    { employees: [], availability: [], start_date: "2024-05-06", end_date: "2024-05-06" },
+    () => client
+  );
+
+  assert.equal(loadedMap, fieldMap);
+  const missingTimes = "Shift is missing start or end time.";
+  const [mapped] = schedule(inputs.shift_template, [], [], [], { fieldMap: loadedMap }).assignments;
+  assert.notEqual(mapped.reason, missingTimes);
+  const [unmapped] = schedule(inputs.shift_template, [], [], []).assignments;
+  assert.equal(unmapped.reason, missingTimes);
+});
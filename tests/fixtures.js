@@ -0,0 +1,25 @@
+// Fixture factories shared by the test files. Times are wall-clock strings.
+
+const hour = (value) => String(value).padStart(2, "0");
+const nextDate = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+// A CNA shift on `date`; an end hour at or before the start runs into the next day.
+const shift = (id, date, startHour = 7, endHour = 19) => ({
+  id,
+  role_needed: "CNA",
+  date,
+  start_time: `${date}T${hour(startHour)}:00:00`,
+  end_time: `${endHour > startHour ? date : nextDate(date)}T${hour(endHour)}:00:00`,
+});
+
+const person = (id, extras = {}) => ({ id, name: id, role: "CNA", weekly_cap: 40, status: "Active", ...extras });
+
+// Available all of `date`, or from `date` up to the start of `until`.
+const available = (employeeId, date, until) => ({
+  employee_id: employeeId,
+  start_time: `${date}T00:00:00`,
+  end_time: until ? `${until}T00:00:00` : `${date}T23:59:00`,
+  type: "Available",
+});
+
+module.exports = { shift, person, available };
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { schedule, checkEligibility } = require("../server/scheduler");
+const { findOpenings, awardOpenShift, applyAwards } = require("../server/openShifts");
+const { loadOpenShifts, postOpenShifts, addBid, recordAwards } = require("../server/openShiftStore");
+const { shift, person, available } = require("./fixtures");
+
+const shifts = [shift("mon", "2024-05-06"), shift("tue", "2024-05-07")];
+const employees = [
+  person("ann", { hire_date: "2021-03-01" }),
+  person("bob", { hire_date: "2019-07-15" }),
+  person("cat", { role: "CMA" }),
+];
+const availability = ["ann", "bob", "cat"].map((employeeId) => available(employeeId, "2024-05-06", "2024-05-08"));
+const boardPath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "open-shifts-")), "board.json");
+
+test("uses the scheduler's checks for open-shift eligibility", () => {
+  const result = checkEligibility(shifts, employees, availability, [{ shift_id: "mon", employee_id: "ann" }], "mon", {
+    rules: { min_rest_hours: 0 },
+  });
+
+  assert.equal(result.openSlots, 0);
+  assert.deepEqual(
+    result.candidates.map((candidate) => [candidate.employeeId, candidate.eligible, candidate.rule]),
+    [
+      ["ann", false, "conflict"],
+      ["bob", true, undefined],
+      ["cat", false, "role"],
+    ]
+  );
+});
+
+test("posts unfilled shifts and awards bids by priority", () => {
+  const filePath = boardPath();
+  const result = schedule(shifts, employees, [], []);
+  const [monday] = postOpenShifts(findOpenings(result.assignments), { weekId: "2024-W19" }, filePath);
+  assert.equal(loadOpenShifts(filePath).length, 2);
+
+  addBid(monday.open_shift_id, "ann", filePath);
+  addBid(monday.open_shift_id, "cat", filePath);
+  const record = addBid(monday.open_shift_id, "bob", filePath);
+  assert.throws(() => addBid(monday.open_shift_id, "bob", filePath), (error) => error.statusCode === 409);
+
+  const input = {
+    shiftTemplate: shifts,
+    employees,
+    availability,
+    assignments: [{ shift_id: "tue", employee_id: "bob" }],
+  };
+  const bySeniority = awardOpenShift(record, { ...input, priority: "seniority" });
+  assert.deepEqual(bySeniority.awarded.map((bid) => bid.employeeId), ["bob"]);
+  assert.deepEqual(bySeniority.ineligible.map((bid) => bid.employeeId), ["cat"]);
+  assert.deepEqual(bySeniority.assignments, [{ shift_id: "mon", employee_id: "bob", pinned: true }]);
+
+  const byHours = awardOpenShift(record, { ...input, priority: "fewest_hours" });
+  assert.deepEqual(byHours.awarded.map((bid) => bid.employeeId), ["ann"]);
+  const firstCome = awardOpenShift(record, { ...input, priority: "first_come" });
+  assert.deepEqual(firstCome.awarded.map((bid) => bid.employeeId), ["ann"]);
+
+  const awarded = recordAwards(monday.open_shift_id, ["bob"], "seniority", filePath);
+  assert.equal(awarded.status, "awarded");
+  assert.deepEqual(applyAwards([], [awarded]).assignments, [{ shift_id: "mon", employee_id: "bob", pinned: true }]);
+});
+
+test("closes board entries once a later run fills them", () => {
+  const filePath = boardPath();
+  postOpenShifts([{ shiftId: "mon", slots: 1, reason: "none" }], {}, filePath);
+  postOpenShifts([], { shiftIds: ["mon", "tue"] }, filePath);
+  assert.deepEqual(loadOpenShifts(filePath).map((record) => record.status), ["filled"]);
+});
@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { publishSchedule } = require("../server/publish");
+const { AirtableClient } = require("../server/airtableClient");
+
+const shiftRecord = (id, shiftId, employees, status = "Draft") => ({
+  id,
+  fields: { shift_id: shiftId, date: "2024-05-06", assigned_employee: employees, status },
+});
+
+const fakeClient = (records, updateShiftRecords) => ({
+  shiftEmployeeField: "assigned_employee",
+  shiftStatusField: "status",
+  listShifts: async () => records,
+  updateShiftRecords,
+});
+
+const records = [
+  shiftRecord("rec1", "mon_day", []),
+  shiftRecord("rec2", "mon_eve", ["recAnn"]),
+  shiftRecord("rec3", "mon_night", ["recBob"]),
+  shiftRecord("rec4", "tue_day", ["recCat"], "Published"),
+  shiftRecord("rec5", "tue_eve", ["recDan"]),
+];
+const assignments = [
+  { shiftId: "mon_day", employeeId: "recAnn" },
+  { shiftId: "rec2", employeeId: "recBob" },
+  { shiftId: "mon_night", employeeId: null, reason: "No employees are available." },
+  { shiftId: "tue_day", employeeId: "recCat" },
+  { shiftId: "wed_day", employeeId: "recAnn" },
+];
+
+test("dry run diffs assignments against Airtable without writing", async () => {
+  const result = await publishSchedule(
+    fakeClient(records, async () => assert.fail("dry run must not write")),
+    { assignments }
+  );
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.summary, {
+    new: 1,
+    changed: 1,
+    cleared: 1,
+    unchanged: 1,
+    missing: 0,
+    cancelled: 0,
+    unknown: 1,
+  });
+  assert.deepEqual(result.diff.changed[0], {
+    recordId: "rec2",
+    shiftId: "rec2",
+    date: "2024-05-06",
+    before: ["recAnn"],
+    after: ["recBob"],
+    statusBefore: "Draft",
+    status: "Published",
+  });
+  assert.equal(result.diff.unknown[0].shiftId, "wed_day");
+});
+
+test("confirmed publish writes changes and reports each record", async () => {
+  let sent = null;
+  const result = await publishSchedule(
+    fakeClient(records, async (updates) => {
+      sent = updates;
+      return updates.map(({ id }) => (id === "rec3" ? { id, ok: false, error: "INVALID_VALUE" } : { id, ok: true }));
+    }),
+    { assignments, confirm: true, status: "Approved" }
+  );
+
+  assert.deepEqual(sent, [
+    { id: "rec1", fields: { assigned_employee: ["recAnn"], status: "Approved" } },
+    { id: "rec2", fields: { assigned_employee: ["recBob"], status: "Approved" } },
+    { id: "rec3", fields: { assigned_employee: [], status: "Approved" } },
+    { id: "rec4", fields: { status: "Approved" } },
+  ]);
+  assert.deepEqual(
+    result.report.map((line) => [line.recordId, line.action, line.ok]),
+    [
+      ["rec1", "new", true],
+      ["rec2", "changed", true],
+      ["rec3", "cleared", false],
+      ["rec4", "status", true],
+    ]
+  );
+  assert.equal(result.summary.failed, 1);
+});
+
+test("confirmed publish creates missing shifts and deletes cancelled ones", async () => {
+  const calls = [];
+  const client = {
+    ...fakeClient(records, async (updates) => {
+      calls.push(["update", updates]);
+      return updates.map(({ id }) => ({ id, ok: true }));
+    }),
+    createShiftRecords: async (rows) => {
+      calls.push(["create", rows]);
+      return rows.map(() => ({ id: "recNew", ok: true }));
+    },
+    deleteShiftRecords: async (ids) => {
+      calls.push(["delete", ids]);
+      return ids.map((id) => ({ id, ok: true }));
+    },
+  };
+  const shiftRows = [
+    { shift_id: "wed_day", template_id: "day", date: "2024-05-08", role_needed: "CNA", start_time: "07:00", end_time: "15:00" },
+  ];
+
+  const result = await publishSchedule(client, {
+    assignments,
+    shiftRows,
+    cancelledShiftIds: ["tue_eve"],
+    confirm: true,
+  });
+
+  assert.equal(result.summary.missing, 1);
+  assert.equal(result.summary.cancelled, 1);
+  assert.equal(result.summary.unknown, 0);
+  assert.deepEqual(calls[1], [
+    "create",
+    [
+      {
+        fields: {
+          shift_id: "wed_day",
+          date: "2024-05-08",
+          role_needed: "CNA",
+          start_time: "07:00",
+          end_time: "15:00",
+          assigned_employee: ["recAnn"],
+          status: "Published",
+        },
+      },
+    ],
+  ]);
+  assert.deepEqual(calls[2], ["delete", ["rec5"]]);
+  assert.deepEqual(result.report.slice(-2), [
+    { recordId: "recNew", shiftId: "wed_day", action: "create", ok: true },
+    { recordId: "rec5", shiftId: "tue_eve", action: "delete", ok: true },
+  ]);
+});
+
+test("creates a shift from a row keyed only by id with its shift_id set", async () => {
+  const created = [];
+  const client = {
+    ...fakeClient([], async () => []),
+    createShiftRecords: async (rows) => {
+      created.push(...rows);
+      return rows.map(() => ({ id: "recNew", ok: true }));
+    },
+  };
+
+  await publishSchedule(client, {
+    assignments: [{ shiftId: "thu_day", employeeId: "recAnn" }],
+    shiftRows: [{ id: "thu_day", date: "2024-05-09", start_time: "07:00", end_time: "15:00" }],
+    confirm: true,
+  });
+
+  assert.equal(created.length, 1);
+  assert.equal(created[0].fields.shift_id, "thu_day");
+  const next = await publishSchedule(fakeClient([{ id: "recNew", fields: created[0].fields }]), {
+    assignments: [{ shiftId: "thu_day", employeeId: "recAnn" }],
+  });
+  assert.equal(next.summary.missing, 0);
+  assert.equal(next.summary.unchanged, 1);
+});
+
+test("updates shift records ten at a time and isolates failed batches", async () => {
+  const client = new AirtableClient({ apiKey: "key", baseId: "base" });
+  let batch = 0;
+  client.request = async (_path, options) => {
+    batch += 1;
+    if (batch === 2) throw new Error("Airtable request failed (422): bad");
+    return { records: options.body.records.map(({ id }) => ({ id })) };
+  };
+  const updates = Array.from({ length: 12 }, (_, index) => ({ id: `rec${index}`, fields: {} }));
+
+  const report = await client.updateShiftRecords(updates);
+  assert.equal(batch, 2);
+  assert.equal(report.filter((line) => line.ok).length, 10);
+  assert.deepEqual(report[11], { id: "rec11", ok: false, error: "Airtable request failed (422): bad" });
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveScheduleInputs } = require("../server/scheduleInputs");
+const { normalizeFieldMap } = require("../server/fieldMap");
+const { schedule } = require("../server/scheduler");
+
+const fakeClient = (calls) => ({
+  apiKey: "key",
+  baseId: "base",
+  fieldMap: normalizeFieldMap(),
+  listEmployees: async () => {
+    calls.push(["employees"]);
+    return [{ id: "recEmp1", fields: { name: "Ada", role: "CNA" } }];
+  },
+  listAvailability: async (range) => {
+    calls.push(["availability", range]);
+    return [];
+  },
+  listShifts: async (range) => {
+    calls.push(["shifts", range]);
+    return [{ id: "recShift1", fields: { date: "2024-05-06" } }];
+  },
+});
+
+test("loads only the collections a request leaves out", async () => {
+  const calls = [];
+  const parsed = { start_date: "2024-05-06", end_date: "2024-05-12", availability: [] };
+  const { inputs, sources } = await resolveScheduleInputs(
+    { week_id: "2024-W19", start_date: "2024-05-06", end_date: "2024-05-12", availability: [] },
+    parsed,
+    () => fakeClient(calls)
+  );
+
+  assert.deepEqual(sources, { employees: "airtable", availability: "request", shift_template: "airtable" });
+  assert.deepEqual(calls, [["employees"], ["shifts", { start: "2024-05-06", end: "2024-05-12" }]]);
+  assert.equal(inputs.employees[0].id, "recEmp1");
+  assert.deepEqual(inputs.availability, []);
+});
+
+test("explains a missing Airtable configuration", async () => {
+  await assert.rejects(
+    resolveScheduleInputs({ shift_template: [] }, {}, () => ({ apiKey: "", baseId: "" })),
+    (error) => error.statusCode === 400 && /missing employees, availability, and Airtable is not configured/.test(error.message)
+  );
+});
+
+test("keeps the staff linked on Published Airtable shifts", async () => {
+  const client = {
+    ...fakeClient([]),
+    shiftEmployeeField: "assigned_employee",
+    shiftStatusField: "status",
+    listEmployees: async () => [
+      { id: "recAnn", fields: { name: "Ann", role: "CNA" } },
+      { id: "recBob", fields: { name: "Bob", role: "CNA" } },
+    ],
+    listShifts: async () => [
+      {
+        id: "recShift1",
+        fields: {
+          date: "2024-05-06",
+          start_time: "07:00",
+          end_time: "15:00",
+          role_needed: "CNA",
+          status: "Published",
+          assigned_employee: ["recBob"],
+        },
+      },
+    ],
+  };
+  const payload = {
+    start_date: "2024-05-06",
+    end_date: "2024-05-06",
+    availability: [{ employee_id: "recAnn", date: "2024-05-06", start_time: "00:00", end_time: "23:59" }],
+  };
+  const { inputs } = await resolveScheduleInputs(payload, payload, () => client);
+
+  assert.deepEqual(inputs.existing_assignments, [
+    { shift_id: "recShift1", employee_id: ["recBob"], status: "Published" },
+  ]);
+  const result = schedule(inputs.shift_template, inputs.employees, inputs.availability, inputs.existing_assignments);
+  assert.deepEqual(
+    result.assignments.map(({ shiftId, employeeId }) => [shiftId, employeeId]),
+    [["recShift1", "recBob"]]
+  );
+});
@@ -1,17 +1,20 @@
+// Fixtures are wall-clock times, read in a fixed facility zone whatever the host zone.
+process.env.FACILITY_TIME_ZONE = "America/Chicago";
+
 const test = require("node:test");
 const assert = require("node:assert/strict");
 const { schedule } = require("../server/scheduler");
 
 const dayShift = (id, date, startHour) => {
-  const start = `${date}T${String(startHour).padStart(2, "0")}:00:00.000Z`;
+  const start = `${date}T${String(startHour).padStart(2, "0")}:00:00`;
   const endHour = (startHour + 12) % 24;
-  const startDate = new Date(`${date}T00:00:00.000Z`);
+  const startDate = new Date(`${date}T00:00:00`);
   const endDate = new Date(startDate);
   if (endHour <= startHour) {
     endDate.setUTCDate(endDate.getUTCDate() + 1);
   }
   const endDateString = endDate.toISOString().slice(0, 10);
-  const end = `${endDateString}T${String(endHour).padStart(2, "0")}:00:00.000Z`;
+  const end = `${endDateString}T${String(endHour).padStart(2, "0")}:00:00`;
   return {
     id,
     role_needed: startHour === 7 ? "CNA" : startHour === 8 ? "CMA" : "Either",
@@ -85,7 +88,7 @@ test("blocks role mismatches", () => {
 test("prevents overlapping assignments", () => {
   const shifts = [
     dayShift("shift1", "2024-05-01", 7),
-    { ...dayShift("shift2", "2024-05-01", 7), start_time: "2024-05-01T13:00:00.000Z", end_time: "2024-05-01T19:00:00.000Z" },
+    { ...dayShift("shift2", "2024-05-01", 7), start_time: "2024-05-01T13:00:00", end_time: "2024-05-01T19:00:00" },
   ];
   const employees = [employee("emp1", "CNA")];
   const availability = [
@@ -115,3 +118,430 @@ test("balances assignments when multiple employees qualify", () => {
   const assignedEmployees = result.assignments.map((assignment) => assignment.employeeId).filter(Boolean);
   assert.deepEqual(assignedEmployees.sort(), ["emp1", "emp2"]);
 });
+
+test("optimal solver keeps the only CMA free for the shift that needs one", () => {
+  const shifts = [
+    dayShift("shift1", "2024-05-01", 7),
+    { ...dayShift("shift2", "2024-05-01", 8), role_needed: "CMA" },
+  ];
+  shifts[0].role_needed = "CNA_OR_CMA";
+  const employees = [employee("emp1", "CMA"), employee("emp2", "CNA")];
+  const availability = [
+    availabilityWindow("avail1", "emp1", "2024-05-01", 7),
+    { ...availabilityWindow("avail2", "emp1", "2024-05-01", 7), start_time: "07:00", end_time: "21:00" },
+    availabilityWindow("avail3", "emp2", "2024-05-01", 7),
+  ];
+
+  const greedy = schedule(shifts, employees, availability, [], { mode: "greedy" });
+  assert.equal(greedy.assignments[0].employeeId, "emp1");
+  assert.equal(greedy.assignments[1].employeeId, null);
+  assert.equal(greedy.solver.mode, "greedy");
+
+  const optimal = schedule(shifts, employees, availability);
+  assert.equal(optimal.assignments[0].employeeId, "emp2");
+  assert.equal(optimal.assignments[1].employeeId, "emp1");
+  assert.equal(optimal.issues.length, 0);
+  assert.equal(optimal.solver.mode, "optimal");
+  assert.equal(optimal.solver.exhaustive, true);
+});
+
+test("optimal solver falls back to its best schedule when the node limit is hit", () => {
+  const shifts = [1, 2, 3, 4].map((day) => dayShift(`shift${day}`, `2024-05-0${day}`, 7));
+  const employees = [employee("emp1", "CNA"), employee("emp2", "CNA")];
+  const availability = shifts.flatMap((shift, index) => [
+    availabilityWindow(`availA${index}`, "emp1", shift.date, 7),
+    availabilityWindow(`availB${index}`, "emp2", shift.date, 7),
+  ]);
+
+  const result = schedule(shifts, employees, availability, [], { nodeLimit: 1 });
+  assert.equal(result.solver.exhaustive, false);
+  assert.equal(result.assignments.filter((assignment) => assignment.employeeId).length, 4);
+});
+
+test("enforces minimum rest between a night and the next day shift", () => {
+  const shifts = [dayShift("night1", "2024-05-01", 19), dayShift("day2", "2024-05-02", 7)];
+  shifts[0].role_needed = "CNA";
+  const employees = [employee("emp1", "CNA")];
+  const availability = [
+    availabilityWindow("avail1", "emp1", "2024-05-01", 19),
+    availabilityWindow("avail2", "emp1", "2024-05-02", 7),
+  ];
+
+  const result = schedule(shifts, employees, availability);
+  assert.equal(result.assignments[0].employeeId, "emp1");
+  assert.equal(result.assignments[1].employeeId, null);
+  assert.match(result.assignments[1].reason, /less than 8h rest/);
+
+  const relaxed = schedule(shifts, employees, availability, [], { rules: { min_rest_hours: 0 } });
+  assert.equal(relaxed.assignments[1].employeeId, "emp1");
+});
+
+test("limits consecutive working days", () => {
+  const shifts = [1, 2, 3].map((day) => ({ ...dayShift(`shift${day}`, `2024-05-0${day}`, 7), end_time: `2024-05-0${day}T11:00:00` }));
+  const employees = [employee("emp1", "CNA")];
+  const availability = shifts.map((shift, index) =>
+    availabilityWindow(`avail${index}`, "emp1", shift.date, 7),
+  );
+
+  const result = schedule(shifts, employees, availability, [], {
+    rules: { max_consecutive_days: 2 },
+  });
+  const filled = result.assignments.filter((assignment) => assignment.employeeId === "emp1");
+  assert.equal(filled.length, 2);
+  const unfilled = result.assignments.find((assignment) => assignment.employeeId === null);
+  assert.match(unfilled.reason, /2 consecutive working days/);
+});
+
+test("fills several distinct employees per shift and reports partial staffing", () => {
+  const shifts = [{ ...dayShift("shift1", "2024-05-01", 7), headcount: 3 }];
+  const employees = [employee("emp1", "CNA"), employee("emp2", "CNA")];
+  const availability = [
+    availabilityWindow("avail1", "emp1", "2024-05-01", 7),
+    availabilityWindow("avail2", "emp2", "2024-05-01", 7),
+  ];
+
+  ["optimal", "greedy"].forEach((mode) => {
+    const result = schedule(shifts, employees, availability, [], { mode });
+    const staffed = result.assignments.map((assignment) => assignment.employeeId);
+    assert.deepEqual(staffed, ["emp1", "emp2", null]);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].filled, 2);
+    assert.equal(result.issues[0].headcount, 3);
+    assert.match(result.issues[0].reason, /^2 of 3 filled\./);
+  });
+});
+
+test("treats Either shifts as open to any role", () => {
+  const result = schedule(
+    [dayShift("night1", "2024-05-01", 19)],
+    [employee("emp1", "CNA")],
+    [availabilityWindow("avail1", "emp1", "2024-05-01", 19)],
+  );
+  assert.equal(result.assignments[0].employeeId, "emp1");
+});
+
+test("uses the role model for substitutions and prefers exact matches", () => {
+  const roleModel = {
+    roles: [
+      { name: "CNA", level: 1 },
+      { name: "CMA", level: 2, covers: ["CNA"] },
+    ],
+    penalties: { downward: 5 },
+  };
+  const shifts = [dayShift("shift1", "2024-05-01", 7)];
+  const availability = [
+    { ...availabilityWindow("avail1", "emp1", "2024-05-01", 7), type: "Preferred" },
+    availabilityWindow("avail2", "emp2", "2024-05-01", 7),
+  ];
+
+  const covered = schedule(shifts, [employee("emp1", "CMA")], availability, [], { roleModel });
+  assert.equal(covered.assignments[0].employeeId, "emp1");
+
+  const exact = schedule(
+    shifts,
+    [employee("emp1", "CMA"), employee("emp2", "CNA")],
+    availability,
+    [],
+    { roleModel },
+  );
+  assert.equal(exact.assignments[0].employeeId, "emp2");
+});
+
+test("a role model without groups keeps the built-in CNA_OR_CMA group", () => {
+  const roleModel = { roles: [{ name: "CNA", level: 1 }, { name: "CMA", level: 2 }], penalties: { upward: 1 } };
+  const shifts = [{ ...dayShift("shift1", "2024-05-01", 7), role_needed: "CNA_OR_CMA" }];
+  const availability = [availabilityWindow("avail1", "emp1", "2024-05-01", 7)];
+
+  const result = schedule(shifts, [employee("emp1", "CNA")], availability, [], { roleModel });
+  assert.equal(result.assignments[0].employeeId, "emp1");
+});
+
+test("only picks staff with current certifications for required skills", () => {
+  const shifts = [{ ...dayShift("shift1", "2024-05-01", 7), required_skills: "Med-Pass, CPR" }];
+  const availability = [
+    availabilityWindow("avail1", "emp1", "2024-05-01", 7),
+    availabilityWindow("avail2", "emp2", "2024-05-01", 7),
+  ];
+  const expired = employee("emp1", "CNA", 40, {
+    certifications: [{ name: "med-pass", expires: "2024-04-30" }, "CPR"],
+  });
+  const current = employee("emp2", "CNA", 40, {
+    certifications: [{ name: "Med-Pass", expires: "2024-05-01" }, { name: "cpr" }],
+  });
+
+  const result = schedule(shifts, [expired, current], availability);
+  assert.equal(result.assignments[0].employeeId, "emp2");
+
+  const unqualified = schedule(shifts, [expired], availability);
+  assert.equal(unqualified.assignments[0].employeeId, null);
+  assert.match(unqualified.assignments[0].reason, /current certifications for med-pass, cpr/);
+});
+
+test("explains which rule rejected each candidate for unfilled shifts", () => {
+  const shifts = [
+    dayShift("shift1", "2024-05-01", 7),
+    { ...dayShift("shift2", "2024-05-01", 7), start_time: "2024-05-01T13:00:00", end_time: "2024-05-01T19:00:00" },
+  ];
+  const employees = [
+    employee("emp1", "CNA", 40, { name: "Ada" }),
+    employee("emp2", "CNA", 4, { name: "Cara" }),
+    employee("emp3", "CMA", 40, { name: "Bob" }),
+  ];
+  const availability = [
+    availabilityWindow("avail1", "emp1", "2024-05-01", 7),
+    availabilityWindow("avail2", "emp2", "2024-05-01", 7),
+  ];
+
+  const result = schedule(shifts, employees, availability, [], { mode: "greedy", explain: true });
+  assert.equal(result.explanations.length, 1);
+  const [explanation] = result.explanations;
+  assert.equal(explanation.shiftId, "shift2");
+  assert.deepEqual(
+    explanation.candidates.map((candidate) => candidate.reason),
+    [
+      "Ada: overlaps shift1",
+      "Cara: 0h + 6h > 4h cap",
+      "Bob: role CMA cannot cover CNA",
+    ],
+  );
+
+  assert.equal(schedule(shifts, employees, availability).explanations, undefined);
+});
+
+test("merges adjacent availability windows and carves out unavailable blocks", () => {
+  const shifts = [{ ...dayShift("shift1", "2024-05-01", 7), end_time: "2024-05-01T15:00:00" }];
+  const split = [
+    { employee_id: "emp1", date: "2024-05-01", start_time: "07:00", end_time: "12:00", type: "Available" },
+    { employee_id: "emp1", date: "2024-05-01", start_time: "12:00", end_time: "19:00", type: "Available" },
+  ];
+
+  const merged = schedule(shifts, [employee("emp1", "CNA")], split);
+  assert.equal(merged.assignments[0].employeeId, "emp1");
+
+  const blocked = schedule(shifts, [employee("emp1", "CNA")], [
+    ...split,
+    { employee_id: "emp1", date: "2024-05-01", start_time: "10:00", end_time: "11:00", type: "Unavailable" },
+  ]);
+  assert.equal(blocked.assignments[0].employeeId, null);
+  assert.match(blocked.assignments[0].reason, /No employees are available/);
+});
+
+test("applies weekly caps per week and an optional pay-period cap", () => {
+  const dates = ["2024-05-06", "2024-05-07", "2024-05-08", "2024-05-13", "2024-05-14", "2024-05-15"];
+  const shifts = dates.map((date, index) => dayShift(`shift${index}`, date, 7));
+  const availability = shifts.map((shift, index) =>
+    availabilityWindow(`avail${index}`, "emp1", shift.date, 7),
+  );
+  const rules = { min_rest_hours: 0 };
+
+  const result = schedule(shifts, [employee("emp1", "CNA")], availability, [], { rules });
+  assert.equal(result.assignments.filter((assignment) => assignment.employeeId).length, 6);
+  assert.deepEqual(result.totalsByEmployee.emp1.hoursByWeek, { "2024-05-06": 36, "2024-05-13": 36 });
+
+  const capped = schedule(shifts, [employee("emp1", "CNA")], availability, [], {
+    rules: { ...rules, pay_period_cap: 60 },
+    startDate: "2024-05-06",
+  });
+  assert.equal(capped.assignments.filter((assignment) => assignment.employeeId).length, 5);
+  assert.deepEqual(capped.totalsByEmployee.emp1.hoursByPayPeriod, { "2024-05-06": 60 });
+  const unfilled = capped.assignments.find((assignment) => assignment.employeeId === null);
+  assert.match(unfilled.reason, /pay-period cap/);
+});
+
+test("prefers cheaper staff and flags assignments that run into overtime", () => {
+  const cheaper = schedule(
+    [dayShift("shift1", "2024-05-06", 7)],
+    [
+      employee("emp1", "CNA", 40, { hourly_rate: 30 }),
+      employee("emp2", "CNA", 40, { hourly_rate: 20 }),
+    ],
+    ["emp1", "emp2"].map((id) => availabilityWindow(`avail_${id}`, id, "2024-05-06", 7)),
+  );
+  assert.equal(cheaper.assignments[0].employeeId, "emp2");
+  assert.equal(cheaper.cost.total, 240);
+
+  const dates = ["2024-05-06", "2024-05-07", "2024-05-08", "2024-05-09"];
+  const shifts = dates.map((date, index) => dayShift(`shift${index}`, date, 7));
+  const availability = shifts.map((shift, index) =>
+    availabilityWindow(`avail${index}`, "emp1", shift.date, 7),
+  );
+  const result = schedule(
+    shifts,
+    [employee("emp1", "CNA", 60, { hourly_rate: 20 })],
+    availability,
+    [],
+    { rules: { min_rest_hours: 0 } },
+  );
+
+  assert.deepEqual(result.cost.overtime, [
+    { shiftId: "shift3", employeeId: "emp1", overtimeHours: 8, type: "weekly" },
+  ]);
+  assert.equal(result.assignments.find((a) => a.shiftId === "shift3").overtimeHours, 8);
+  assert.equal(result.cost.byEmployee.emp1.regularHours, 40);
+  assert.equal(result.cost.total, 40 * 20 + 8 * 30);
+});
+
+test("does not treat a missing hourly_rate as the cheapest option", () => {
+  const employees = [
+    employee("ann", "CNA", 40, { hourly_rate: 20 }),
+    employee("bob", "CNA", 40),
+  ];
+  const availability = ["ann", "bob"].map((id) => availabilityWindow(`avail_${id}`, id, "2024-05-06", 7));
+
+  ["greedy", "optimal"].forEach((solver) => {
+    const result = schedule([dayShift("shift1", "2024-05-06", 7)], employees, availability, [], {
+      mode: solver,
+    });
+    assert.equal(result.assignments[0].employeeId, "ann", solver);
+  });
+});
+
+test("treats class blocks in school_notes as hard unavailability", () => {
+  const shifts = [
+    { id: "mon", role_needed: "CNA", date: "2024-05-06", start_time: "2024-05-06T09:00:00", end_time: "2024-05-06T13:00:00" },
+    { id: "tue", role_needed: "CNA", date: "2024-05-07", start_time: "2024-05-07T09:00:00", end_time: "2024-05-07T13:00:00" },
+  ];
+  const student = employee("emp1", "CNA", 40, { school_notes: "Mon/Wed 08:00–12:00; Thu 1-3pm" });
+  const availability = ["2024-05-06", "2024-05-07"].map((date) => ({
+    employee_id: "emp1",
+    date,
+    start_time: "2024-05-06T00:00:00",
+    end_time: "2024-05-08T00:00:00",
+    type: "Available",
+  }));
+
+  const result = schedule(shifts, [student], availability.slice(0, 1), [], { explain: true });
+  const byShift = Object.fromEntries(result.assignments.map((a) => [a.shiftId, a.employeeId]));
+  assert.deepEqual(byShift, { mon: null, tue: "emp1" });
+  assert.match(result.issues[0].reason, /have class/);
+  assert.deepEqual(result.explanations[0].candidates.map((candidate) => candidate.reason), [
+    "emp1: class Mon/Wed 08:00–12:00 on 2024-05-06",
+  ]);
+});
+
+test("balances weekend shifts against recent history and reports shares", () => {
+  const shifts = [
+    { id: "sat", role_needed: "CNA", date: "2024-05-11", start_time: "2024-05-11T07:00:00", end_time: "2024-05-11T19:00:00" },
+  ];
+  const staff = [employee("emp1", "CNA"), employee("emp2", "CNA")];
+  const availability = staff.map((member) => ({
+    employee_id: member.id,
+    date: "2024-05-11",
+    start_time: "07:00",
+    end_time: "19:00",
+    type: "Available",
+  }));
+  const pastWeekend = (employeeId, date) => ({
+    employee_id: employeeId,
+    start_time: `${date}T07:00:00`,
+    end_time: `${date}T19:00:00`,
+  });
+  const history = [
+    pastWeekend("emp1", "2024-04-27"),
+    pastWeekend("emp1", "2024-05-04"),
+    pastWeekend("emp2", "2024-03-02"),
+  ];
+
+  assert.equal(schedule(shifts, staff, availability).assignments[0].employeeId, "emp1");
+
+  const result = schedule(shifts, staff, availability, [], { history });
+  assert.equal(result.assignments[0].employeeId, "emp2");
+  assert.equal(result.fairness.windowStart, "2024-04-13");
+  assert.deepEqual(result.fairness.byEmployee.emp1.total, { night: 0, weekend: 2, holiday: 0 });
+  assert.deepEqual(result.fairness.byEmployee.emp2.current, { night: 0, weekend: 1, holiday: 0 });
+  assert.equal(result.fairness.byEmployee.emp1.share.weekend, 0.67);
+});
+
+test("keeps pinned and published assignments and explains draft overrides", () => {
+  const shifts = [
+    { ...dayShift("published", "2024-05-01", 7), status: "Published" },
+    { ...dayShift("pinned", "2024-05-02", 7), status: "Draft" },
+    { ...dayShift("draft", "2024-05-03", 7), status: "Draft" },
+  ];
+  const staff = [employee("emp1", "CNA"), employee("emp2", "CNA")];
+  const availability = ["2024-05-01", "2024-05-02", "2024-05-03"].map((date) =>
+    availabilityWindow(`avail_${date}`, "emp2", date, 7),
+  );
+  const existing = [
+    { shift_id: "published", employee_id: "emp1" },
+    { shift_id: "pinned", employee_id: "emp1", pinned: true },
+    { shift_id: "draft", employee_id: "emp1" },
+  ];
+
+  const result = schedule(shifts, staff, availability, existing);
+  assert.deepEqual(
+    result.assignments.map((a) => [a.shiftId, a.employeeId, Boolean(a.pinned)]),
+    [
+      ["published", "emp1", true],
+      ["pinned", "emp1", true],
+      ["draft", "emp2", false],
+    ],
+  );
+
+  const warnings = result.issues.filter((issue) => issue.severity === "warning");
+  assert.deepEqual(warnings.map((issue) => issue.shiftId), ["published", "pinned"]);
+  assert.match(warnings[0].reason, /kept despite: emp1: no availability window covers the shift/);
+  const override = result.issues.find((issue) => issue.type === "draft_override");
+  assert.equal(override.shiftId, "draft");
+  assert.match(override.reason, /Draft assignment was released: emp1: no availability window/);
+});
+
+test("expands recurring availability with exceptions and dated overrides", () => {
+  const shifts = ["2024-05-06", "2024-05-07", "2024-05-08", "2024-05-13", "2024-05-14"].map(
+    (date) => dayShift(`d_${date}`, date, 7)
+  );
+  const availability = [
+    {
+      id: "pattern1",
+      employee_id: "emp1",
+      days: "Mon-Wed",
+      start_time: "07:00",
+      end_time: "19:00",
+      type: "Available",
+      effective_to: "2024-05-13",
+      exceptions: "2024-05-07",
+    },
+    { id: "dated1", employee_id: "emp1", date: "2024-05-08", start_time: "09:00", end_time: "21:00", type: "Available" },
+  ];
+
+  const result = schedule(shifts, [employee("emp1", "CNA", 80)], availability, []);
+  const filled = result.assignments.filter((assignment) => assignment.employeeId).map((a) => a.shiftId);
+  // 05-07 is an exception, 05-08's dated row replaces the pattern, 05-14 is past effective_to.
+  assert.deepEqual(filled.sort(), ["d_2024-05-06", "d_2024-05-13"]);
+});
+
+test("blocks approved time off and avoids pending requests", () => {
+  const shifts = [dayShift("shift1", "2024-05-06", 7), dayShift("shift2", "2024-05-07", 7)];
+  const employees = [employee("emp1", "CNA"), employee("emp2", "CNA"), employee("emp3", "CNA")];
+  const availability = ["emp1", "emp2", "emp3"].flatMap((id) => [
+    availabilityWindow(`${id}-mon`, id, "2024-05-06", 7),
+    availabilityWindow(`${id}-tue`, id, "2024-05-07", 7),
+  ]);
+  const timeOff = [
+    { employee_id: "emp1", type: "PTO", status: "approved", start_date: "2024-05-06", end_date: "2024-05-07" },
+    { employee_id: "emp2", type: "sick", status: "requested", start_date: "2024-05-06" },
+    { employee_id: "emp3", type: "PTO", status: "denied", start_date: "2024-05-06" },
+    { employee_id: "emp3", type: "LOA", status: "requested", start_date: "2024-05-07" },
+  ];
+
+  const result = schedule(shifts, employees, availability, [], {
+    timeOff,
+    rules: { min_rest_hours: 0 },
+  });
+  const byShift = Object.fromEntries(result.assignments.map((a) => [a.shiftId, a.employeeId]));
+  assert.deepEqual(byShift, { shift1: "emp3", shift2: "emp2" });
+  assert.equal(result.issues.filter((issue) => issue.type === "pending_time_off").length, 0);
+
+  // With only pending requests left, the shift is still filled but reported.
+  const pendingOnly = schedule([shifts[0]], [employees[1]], availability, [], { timeOff });
+  assert.equal(pendingOnly.assignments[0].employeeId, "emp2");
+  assert.deepEqual(
+    pendingOnly.issues.map((issue) => [issue.type, issue.severity]),
+    [["pending_time_off", "warning"]]
+  );
+  assert.match(pendingOnly.issues[0].reason, /requested Sick 2024-05-06/);
+
+  const blocked = schedule([shifts[0]], [employees[0]], availability, [], { timeOff, explain: true });
+  assert.match(blocked.assignments[0].reason, /approved time off/);
+  assert.match(blocked.explanations[0].candidates[0].reason, /approved PTO 2024-05-06–2024-05-07/);
+});
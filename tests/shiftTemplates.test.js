@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { expandShiftTemplates } = require("../server/shiftTemplates");
+const { normalizeShiftRecords } = require("../server/utils/data");
+
+const templates = [
+  { template_id: "day_cna", days: "every weekday", start_time: "07:00", end_time: "15:00", role_needed: "CNA", headcount: 3 },
+  { template_id: "night", days: "nightly", start_time: "19:00", end_time: "07:00", role_needed: "Either" },
+];
+
+test("expands weekly templates over the requested range", () => {
+  // 2024-05-10 is a Friday.
+  const shifts = expandShiftTemplates(templates, { startDate: "2024-05-10", endDate: "2024-05-13" });
+  assert.deepEqual(
+    shifts.map((shift) => shift.shift_id),
+    ["day_cna_2024-05-10", "night_2024-05-10", "night_2024-05-11", "night_2024-05-12", "day_cna_2024-05-13", "night_2024-05-13"],
+  );
+
+  const [day, night] = normalizeShiftRecords(shifts);
+  assert.equal(day.headcount, 3);
+  assert.equal(day.roleNeeded, "CNA");
+  assert.equal(night.roleNeeded, "");
+  assert.equal(night.hours, 12);
+});
+
+test("applies date overrides for holidays and extra coverage", () => {
+  const shifts = expandShiftTemplates(templates, {
+    startDate: "2024-05-27",
+    endDate: "2024-05-28",
+    overrides: [
+      { date: "2024-05-27", template_id: "day_cna", cancel: true },
+      { date: "2024-05-27", template_id: "night", headcount: 2 },
+      { date: "2024-05-28", start_time: "11:00", end_time: "15:00", role_needed: "CMA" },
+    ],
+  });
+
+  assert.deepEqual(
+    shifts.map((shift) => [shift.shift_id, shift.headcount || 1]),
+    [
+      ["night_2024-05-27", 2],
+      ["day_cna_2024-05-28", 3],
+      ["night_2024-05-28", 1],
+      ["extra_2024-05-28_1", 1],
+    ],
+  );
+
+  assert.throws(
+    () => expandShiftTemplates(templates, { startDate: "2024-05-27", endDate: "2024-05-28", overrides: [{ date: "2024-05-27", template_id: "eve" }] }),
+    /unknown template eve/,
+  );
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { simulate } = require("../server/simulation");
+const { shift, person, available } = require("./fixtures");
+
+const baseline = {
+  shift_template: [shift("mon", "2024-05-06", 7, 15), shift("tue", "2024-05-07", 7, 15)],
+  employees: [person("ann"), person("bob")],
+  availability: [available("ann", "2024-05-06"), available("bob", "2024-05-07")],
+};
+
+test("diffs coverage, hours and issues when an employee goes on leave", () => {
+  const { baseline: before, edited, diff } = simulate(baseline, [
+    { type: "remove_employee", employee_id: "bob" },
+  ]);
+
+  assert.equal(before.assignments.filter((a) => a.employeeId).length, 2);
+  assert.equal(edited.assignments.filter((a) => a.employeeId).length, 1);
+  assert.deepEqual(diff.coverage.delta, { filled: -1, unfilled: 1 });
+  assert.deepEqual(diff.coverage.shifts, [{ shiftId: "tue", baseline: ["bob"], edited: [] }]);
+  assert.deepEqual(diff.hours, [{ employeeId: "bob", name: "bob", baseline: 8, edited: null, delta: -8 }]);
+  assert.deepEqual(diff.issues.added.map((issue) => issue.shiftId), ["tue"]);
+  assert.deepEqual(diff.issues.resolved, []);
+});
+
+test("applies shift, cap and availability edits and rejects unknown ones", () => {
+  const { diff } = simulate(baseline, [
+    { type: "add_shift", shift: { ...shift("mon2", "2024-05-06", 7, 15), start_time: "2024-05-06T08:00:00" } },
+    { type: "add_availability", availability: available("bob", "2024-05-06") },
+    { type: "update_employee", employee_id: "bob", changes: { weekly_cap: 20 } },
+  ]);
+  assert.deepEqual(diff.coverage.delta, { filled: 1, unfilled: 0 });
+  assert.equal(diff.hours.find((entry) => entry.employeeId === "bob").delta, 7);
+
+  assert.throws(() => simulate(baseline, [{ type: "hire_everyone" }]), /Unknown edit type hire_everyone/);
+  assert.throws(
+    () => simulate(baseline, [{ type: "remove_shift", shift_id: "wed" }]),
+    (error) => error.statusCode === 400 && /Shift wed was not found/.test(error.message),
+  );
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkSwap, applyApprovedSwaps } = require("../server/swaps");
+const { loadSwaps, recordSwap, decideSwap } = require("../server/swapStore");
+const { shift, person, available } = require("./fixtures");
+
+const shifts = [shift("mon", "2024-05-06"), shift("tue", "2024-05-07"), shift("wed", "2024-05-08")];
+const availability = ["ann", "bob"].map((employeeId) => available(employeeId, "2024-05-06", "2024-05-09"));
+const assignments = [
+  { shift_id: "mon", employee_id: "ann" },
+  { shift_id: "tue", employee_id: "bob" },
+  { shift_id: "wed", employee_id: "bob" },
+];
+
+test("accepts a swap that keeps both schedules valid", () => {
+  const result = checkSwap({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob")],
+    availability,
+    assignments,
+    swap: { type: "swap", shift_id: "mon", counter_shift_id: "tue", from_employee_id: "ann", to_employee_id: "bob" },
+  });
+
+  assert.equal(result.accepted, true);
+  assert.deepEqual(result.reasons, []);
+  assert.deepEqual(
+    result.assignments.map((record) => [record.shift_id, record.employee_id]),
+    [
+      ["mon", "bob"],
+      ["tue", "ann"],
+      ["wed", "bob"],
+    ]
+  );
+});
+
+test("rejects a giveaway that breaks the receiver's cap", () => {
+  const result = checkSwap({
+    shiftTemplate: shifts,
+    employees: [person("ann"), person("bob", { weekly_cap: 24 })],
+    availability,
+    assignments,
+    swap: { type: "giveaway", shift_id: "mon", from_employee_id: "ann", to_employee_id: "bob" },
+  });
+
+  assert.equal(result.accepted, false);
+  assert.deepEqual(result.reasons.map((reason) => [reason.type, reason.employeeId]), [["weekly_cap", "bob"]]);
+
+  assert.throws(
+    () =>
+      checkSwap({
+        shiftTemplate: shifts,
+        employees: [person("ann"), person("bob")],
+        availability,
+        assignments,
+        swap: { type: "giveaway", shift_id: "tue", from_employee_id: "ann", to_employee_id: "bob" },
+      }),
+    (error) => error.statusCode === 400 && /ann is not assigned to shift tue/.test(error.message)
+  );
+});
+
+test("stores swaps and applies approved ones once", () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "swaps-")), "swaps.json");
+  const swap = { type: "giveaway", shiftId: "mon", counterShiftId: null, fromEmployeeId: "ann", toEmployeeId: "bob" };
+  const pending = recordSwap(swap, { weekId: "2024-W19" }, filePath);
+  assert.equal(pending.status, "pending");
+
+  assert.deepEqual(applyApprovedSwaps(assignments, loadSwaps(filePath)).applied, []);
+
+  decideSwap(pending.swap_id, "approved", filePath);
+  assert.throws(() => decideSwap(pending.swap_id, "denied", filePath), (error) => error.statusCode === 409);
+
+  const { assignments: applied, applied: ids } = applyApprovedSwaps(assignments, loadSwaps(filePath));
+  assert.deepEqual(ids, [pending.swap_id]);
+  assert.deepEqual(applied[0], { shift_id: "mon", employee_id: "bob", pinned: true });
+  // Already applied: ann no longer holds mon, so the swap is left alone.
+  assert.deepEqual(applyApprovedSwaps(applied, loadSwaps(filePath)), {
+    assignments: applied,
+    applied: [],
+    skipped: [],
+  });
+
+  const camel = applyApprovedSwaps([{ shiftId: "mon", employeeId: "ann" }], loadSwaps(filePath));
+  assert.deepEqual(camel.assignments, [{ shiftId: "mon", employeeId: "bob", pinned: true }]);
+
+  assert.deepEqual(applyApprovedSwaps(undefined, loadSwaps(filePath)).skipped, [
+    { swap_id: pending.swap_id, reason: "No existing_assignments to apply it to." },
+  ]);
+});
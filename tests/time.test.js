@@ -0,0 +1,50 @@
+process.env.FACILITY_TIME_ZONE = "America/Chicago";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { combineDateTime, dateKey, hoursBetween, zonedTime } = require("../server/utils/time");
+const { schedule } = require("../server/scheduler");
+
+const night = (id, date) => ({ id, role_needed: "CNA", date, start_time: "19:00", end_time: "07:00" });
+
+test("reads wall-clock times in the facility zone regardless of the host zone", () => {
+  assert.equal(combineDateTime("2024-03-09", "19:00").toISOString(), "2024-03-10T01:00:00.000Z");
+  assert.equal(combineDateTime("2024-03-10", "07:00").toISOString(), "2024-03-10T12:00:00.000Z");
+  assert.equal(combineDateTime(null, "2024-07-04T08:00:00").toISOString(), "2024-07-04T13:00:00.000Z");
+  assert.equal(dateKey("2024-03-10T03:00:00.000Z"), "2024-03-09");
+});
+
+test("resolves skipped and repeated wall-clock times on DST changes", () => {
+  // 02:30 does not exist on spring-forward night; it lands at 03:30 CDT.
+  assert.equal(zonedTime(2024, 3, 10, 2, 30).toISOString(), "2024-03-10T08:30:00.000Z");
+  // 01:30 happens twice on fall-back night; the first (CDT) one wins.
+  assert.equal(zonedTime(2024, 11, 3, 1, 30).toISOString(), "2024-11-03T06:30:00.000Z");
+});
+
+test("counts real hours for overnight shifts across spring-forward and fall-back", () => {
+  const hours = (date) =>
+    hoursBetween(combineDateTime(date, "19:00"), combineDateTime(date, "07:00"));
+  assert.equal(hours("2024-03-08"), 12);
+  assert.equal(hours("2024-03-09"), 11);
+  assert.equal(hours("2024-11-02"), 13);
+});
+
+test("schedules DST-weekend nights with their true length", () => {
+  const shifts = [night("spring", "2024-03-09"), night("fall", "2024-11-02")];
+  const availability = shifts.map((shift) => ({
+    employee_id: "emp1",
+    date: shift.date,
+    start_time: "19:00",
+    end_time: "07:00",
+    type: "Available",
+  }));
+  const result = schedule(
+    shifts,
+    [{ id: "emp1", name: "emp1", role: "CNA", weekly_cap: 40, status: "Active" }],
+    availability,
+  );
+
+  assert.deepEqual(result.assignments.map((a) => a.employeeId), ["emp1", "emp1"]);
+  assert.deepEqual(result.totalsByEmployee.emp1.hoursByWeek, { "2024-03-04": 11, "2024-10-28": 13 });
+  assert.equal(result.fairness.byEmployee.emp1.total.night, 2);
+});
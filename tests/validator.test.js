@@ -0,0 +1,175 @@
+// Fixtures are wall-clock times, read in a fixed facility zone whatever the host zone.
+process.env.FACILITY_TIME_ZONE = "America/Chicago";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validate } = require("../server/validator");
+const { shift, person, available } = require("./fixtures");
+
+const employees = [person("emp1", { name: "Ada", weekly_cap: 80 })];
+const wholeWeek = available("emp1", "2024-05-01", "2024-05-08");
+
+test("flags short rest and long runs of nights", () => {
+  const shifts = [
+    shift("n1", "2024-05-01", 19, 7),
+    shift("d2", "2024-05-02", 11, 15),
+    shift("n3", "2024-05-03", 19, 7),
+  ];
+  const availability = [wholeWeek];
+  const assignments = shifts.map((entry) => ({ shiftId: entry.id, employeeId: "emp1" }));
+
+  const errors = validate(assignments, shifts, employees, availability, {
+    rules: { max_consecutive_nights: 1, max_consecutive_days: 0 },
+  });
+  const types = errors.map((error) => error.type).sort();
+  assert.deepEqual(types, ["min_rest"]);
+  assert.match(errors[0].message, /only 4\.00h rest between shifts n1 and d2/);
+
+  const strict = validate(assignments, shifts, employees, availability, {
+    rules: { max_consecutive_days: 2 },
+  });
+  assert.ok(strict.some((error) => error.type === "consecutive_days"));
+});
+
+test("flags shifts staffed beyond their headcount", () => {
+  const shifts = [{ ...shift("d1", "2024-05-01", 7, 15), headcount: 1 }];
+  const staff = [
+    ...employees,
+    { id: "emp2", name: "Bea", role: "CNA", weekly_cap: 40, status: "Active" },
+  ];
+  const availability = [wholeWeek, { ...wholeWeek, employee_id: "emp2" }];
+
+  const errors = validate(
+    [
+      { shiftId: "d1", employeeId: "emp1" },
+      { shiftId: "d1", employeeId: "emp2" },
+    ],
+    shifts,
+    staff,
+    availability,
+  );
+  assert.deepEqual(errors.map((error) => error.type), ["headcount"]);
+});
+
+test("flags assignments after a certification has expired", () => {
+  const shifts = [
+    { ...shift("d1", "2024-05-01", 7, 15), required_skills: ["Hoyer"] },
+  ];
+  const certified = [{ ...employees[0], certifications: [{ name: "hoyer", expires: "2024-04-15" }] }];
+
+  const errors = validate([{ shiftId: "d1", employeeId: "emp1" }], shifts, certified, [wholeWeek]);
+  assert.deepEqual(errors.map((error) => error.type), ["expired_certification"]);
+  assert.match(errors[0].message, /expired on 2024-04-15/);
+});
+
+test("checks availability against merged windows minus unavailable time", () => {
+  const shifts = [shift("d1", "2024-05-01", 7, 15)];
+  const windows = [
+    { employee_id: "emp1", date: "2024-05-01", start_time: "06:00", end_time: "09:00" },
+    { employee_id: "emp1", date: "2024-05-01", start_time: "09:00", end_time: "16:00", type: "Preferred" },
+  ];
+  const assignments = [{ shiftId: "d1", employeeId: "emp1" }];
+
+  assert.deepEqual(validate(assignments, shifts, employees, windows), []);
+
+  const errors = validate(assignments, shifts, employees, [
+    ...windows,
+    { employee_id: "emp1", date: "2024-05-01", start_time: "14:00", end_time: "18:00", type: "Unavailable" },
+  ]);
+  assert.deepEqual(errors.map((error) => error.type), ["availability"]);
+});
+
+test("cites the class block when a shift falls in school hours", () => {
+  const shifts = [shift("tue", "2024-05-07", 14, 18)];
+  const student = [{ ...employees[0], school_notes: "Tue-Thu 1-3pm" }];
+  const availability = [{ ...wholeWeek, start_time: "2024-05-06T00:00:00", end_time: "2024-05-13T00:00:00" }];
+
+  const errors = validate([{ shiftId: "tue", employeeId: "emp1" }], shifts, student, availability);
+  assert.deepEqual(errors.map((error) => error.type), ["class_conflict"]);
+  assert.equal(errors[0].classBlock, "Tue/Wed/Thu 13:00–15:00");
+  assert.match(errors[0].message, /Ada has class Tue\/Wed\/Thu 13:00–15:00 on 2024-05-07/);
+});
+
+test("reports rule breaks on pinned assignments as warnings", () => {
+  const shifts = [
+    shift("d1", "2024-05-01", 7, 15),
+    { ...shift("d2", "2024-05-02", 7, 15), status: "Published" },
+  ];
+
+  const errors = validate(
+    [
+      { shiftId: "d1", employeeId: "emp1", pinned: true },
+      { shiftId: "d2", employeeId: "emp1" },
+    ],
+    shifts,
+    employees,
+    [],
+  );
+  assert.deepEqual(
+    errors.map((error) => [error.shiftId, error.type, error.severity]),
+    [
+      ["d1", "availability", "warning"],
+      ["d2", "availability", "warning"],
+    ],
+  );
+});
+
+test("treats an Approved or locked assignment as pinned, like the scheduler does", () => {
+  const shifts = [shift("d1", "2024-05-01", 7, 15)];
+  [{ status: "Approved" }, { status: "Published" }, { locked: true }].forEach((flag) => {
+    const errors = validate([{ shiftId: "d1", employeeId: "emp1", ...flag }], shifts, employees, []);
+    assert.deepEqual(
+      errors.map((error) => [error.type, error.severity]),
+      [["availability", "warning"]],
+    );
+  });
+});
+
+test("downgrades cap and rest findings only when every assignment involved is pinned", () => {
+  const shifts = [
+    shift("d1", "2024-05-01", 7, 15),
+    shift("d2", "2024-05-01", 19, 3),
+  ];
+  const capped = [{ ...employees[0], weekly_cap: 10 }];
+  const run = (secondPinned) =>
+    validate(
+      [
+        { shiftId: "d1", employeeId: "emp1", pinned: true },
+        { shiftId: "d2", employeeId: "emp1", pinned: secondPinned },
+      ],
+      shifts,
+      capped,
+      [wholeWeek],
+    ).map((error) => [error.type, error.severity || "error"]);
+
+  assert.deepEqual(run(true), [
+    ["weekly_cap", "warning"],
+    ["min_rest", "warning"],
+  ]);
+  assert.deepEqual(run(false), [
+    ["weekly_cap", "error"],
+    ["min_rest", "error"],
+  ]);
+});
+
+test("flags approved time off as an error and pending requests as warnings", () => {
+  const shifts = [
+    shift("d1", "2024-05-01", 7, 15),
+    shift("d2", "2024-05-02", 7, 15),
+  ];
+  const assignments = shifts.map((entry) => ({ shiftId: entry.id, employeeId: "emp1" }));
+  const errors = validate(assignments, shifts, employees, [wholeWeek], {
+    timeOff: [
+      { employee_id: "emp1", type: "PTO", status: "approved", start_date: "2024-05-01" },
+      { employee_id: "emp1", type: "sick", status: "requested", start_date: "2024-05-02" },
+    ],
+  });
+
+  assert.deepEqual(
+    errors.map((error) => [error.type, error.shiftId, error.severity]),
+    [
+      ["time_off", "d1", undefined],
+      ["pending_time_off", "d2", "warning"],
+    ]
+  );
+});